@@ -15,6 +15,10 @@ const isProduction = NODE_ENV === "production";
 // Set port based on environment: 3000 for development, 80 for production (or override with PORT env var)
 const PORT = isProduction ? process.env.PORT || 80 : process.env.PORT || 3000;
 
+// A threshold of 0 is valid (review nothing for low confidence), so only
+// fall back when the variable is missing or not a number
+const reviewThreshold = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+
 // Default configuration values
 const config = {
   NODE_ENV,
@@ -29,6 +33,52 @@ const config = {
   GOOGLE_REDIRECT_URI:
     process.env.GOOGLE_REDIRECT_URI ||
     "http://localhost:3000/api/v1/auth/google/callback",
+  // Signing secret and lifetime for public result links
+  SHARE_LINK_SECRET:
+    process.env.SHARE_LINK_SECRET ||
+    process.env.JWT_SECRET ||
+    "your_jwt_secret_here",
+  SHARE_LINK_EXPIRES_IN_DAYS:
+    parseInt(process.env.SHARE_LINK_EXPIRES_IN_DAYS, 10) || 7,
+  SHARE_LINK_BASE_URL:
+    process.env.SHARE_LINK_BASE_URL ||
+    `${
+      process.env.APP_URL || `http://localhost:${PORT}`
+    }/api/v1/results/shared`,
+  // Result notifications: "console", "file" or "webhook"
+  NOTIFICATION_PROVIDER: process.env.NOTIFICATION_PROVIDER || "console",
+  NOTIFICATION_FILE:
+    process.env.NOTIFICATION_FILE ||
+    path.join(__dirname, "..", "logs", "notifications.jsonl"),
+  NOTIFICATION_WEBHOOK_URL: process.env.NOTIFICATION_WEBHOOK_URL,
+  NOTIFICATION_WEBHOOK_TOKEN: process.env.NOTIFICATION_WEBHOOK_TOKEN,
+  // Answer grading: "http" calls GRADING_API_URL, "mock" gives fake marks for
+  // local testing; unset leaves written answers for the teacher to mark
+  GRADING_PROVIDER: process.env.GRADING_PROVIDER || "",
+  GRADING_API_URL: process.env.GRADING_API_URL,
+  GRADING_API_TOKEN: process.env.GRADING_API_TOKEN,
+  GRADING_API_TIMEOUT_MS:
+    parseInt(process.env.GRADING_API_TIMEOUT_MS, 10) || 120000,
+  // Largest uploaded file, and largest PDF inside a bulk upload ZIP, in MB
+  MAX_UPLOAD_MB: parseInt(process.env.MAX_UPLOAD_MB, 10) || 50,
+  // Automatically graded answers below this confidence go to the review queue
+  REVIEW_CONFIDENCE_THRESHOLD: Number.isFinite(reviewThreshold)
+    ? reviewThreshold
+    : 0.7,
+  // Days a deleted class can be restored before it is purged
+  CLASS_DELETE_RETENTION_DAYS:
+    parseInt(process.env.CLASS_DELETE_RETENTION_DAYS, 10) || 30,
+  // Where submission files are stored: "cloudinary" or "local"
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "cloudinary",
+  LOCAL_STORAGE_DIR:
+    process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "..", "uploads"),
+  LOCAL_STORAGE_URL:
+    process.env.LOCAL_STORAGE_URL ||
+    `${process.env.APP_URL || `http://localhost:${PORT}`}/uploads`,
+  // Uploaded PDFs waiting to be graded; kept out of the public uploads folder
+  LOCAL_SUBMISSION_DIR:
+    process.env.LOCAL_SUBMISSION_DIR ||
+    path.join(__dirname, "..", "submissions"),
 };
 
 module.exports = config;
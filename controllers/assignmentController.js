@@ -2,11 +2,150 @@
  * Assignment Controller
  * Handles operations related to assignments and assignment drafts
  */
+const mongoose = require("mongoose");
 const Assignment = require("../models/assignmentModel");
 const Question = require("../models/questionModel");
 const Class = require("../models/classModel");
 const Teacher = require("../models/teacherModel");
 const Student = require("../models/studentModel");
+const gradingQueue = require("../services/gradingQueue");
+const {
+  findQuestionForResponse,
+  findResponseForQuestion,
+  formatResponse,
+  isShareActive,
+  markReviewed,
+  countReviewItems,
+} = require("../utils/gradingUtils");
+const {
+  normalizeOptions,
+  validateMcqQuestion,
+  scoreMcqAnswer,
+} = require("../utils/mcqUtils");
+const { normalizeRubric, validateRubric } = require("../utils/rubricUtils");
+const gradingEngine = require("../services/grading");
+const notifications = require("../services/notifications");
+
+/**
+ * Read the submission window and late penalty fields from a request body.
+ * Dates left out keep their current value; null or "" clears them.
+ * @param {Object} body - Request body
+ * @param {Object} [current] - The assignment being updated, if any
+ * @returns {Object} { error } if invalid, otherwise { fields } to set on the assignment
+ */
+const parseSchedule = (body, current = {}) => {
+  const fields = {};
+  for (const key of ["openDate", "dueDate", "closeDate"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === "") {
+      fields[key] = undefined;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (isNaN(date.getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+    fields[key] = date;
+  }
+
+  const dates = ["openDate", "dueDate", "closeDate"]
+    .map((key) => (key in fields ? fields[key] : current[key]))
+    .filter(Boolean);
+  for (let i = 1; i < dates.length; i++) {
+    if (dates[i] < dates[i - 1]) {
+      return {
+        error: "Dates must be in order: openDate, dueDate, then closeDate",
+      };
+    }
+  }
+
+  if (body.latePenalty !== undefined) {
+    const {
+      percent = 0,
+      perDay = false,
+      maxPercent = 100,
+    } = body.latePenalty || {};
+    const inRange = (n) => typeof n === "number" && n >= 0 && n <= 100;
+    if (!inRange(percent) || !inRange(maxPercent)) {
+      return {
+        error: "latePenalty percent and maxPercent must be between 0 and 100",
+      };
+    }
+    fields.latePenalty = { percent, perDay: !!perDay, maxPercent };
+  }
+
+  return { fields };
+};
+
+/**
+ * Whether an assignment's submission window has closed
+ * @param {Object} assignment - Assignment or schedule fields
+ * @returns {Boolean}
+ */
+const isClosed = (assignment) =>
+  Boolean(assignment.closeDate && assignment.closeDate <= new Date());
+
+/**
+ * Fields of a question that can be set when creating or updating an assignment
+ * @param {Object} q - Question from the request body or a Question document
+ * @returns {Object}
+ */
+const editableQuestionFields = (q) => {
+  const isMcq = q.questionType === "mcq";
+  return {
+    text: q.text,
+    maxMarks: q.maxMarks || 0,
+    questionType: isMcq ? "mcq" : "subjective",
+    rubric: normalizeRubric(q.rubric, q.maxMarks || 0),
+    options: isMcq
+      ? (q.options || []).map((o) => ({
+          key: normalizeOptions(o.key)[0] || "",
+          text: o.text || "",
+        }))
+      : [],
+    correctOptions: isMcq ? normalizeOptions(q.correctOptions) : [],
+    partialCredit: isMcq && !!q.partialCredit,
+    negativeMarks: isMcq ? Number(q.negativeMarks) || 0 : 0,
+  };
+};
+
+/**
+ * Check the MCQ answer keys and rubrics of the questions in a request body
+ * @param {Array<Object>} questions - Questions from the request body
+ * @returns {String|null} The first problem found, if any
+ */
+const findQuestionError = (questions) => {
+  for (const [index, q] of questions.entries()) {
+    const fields = editableQuestionFields(q);
+    const error =
+      validateMcqQuestion(fields) ||
+      validateRubric(fields.rubric, fields.maxMarks);
+    if (error) return `Question ${index + 1}: ${error}`;
+  }
+  return null;
+};
+
+/**
+ * Read the answer sheet type from a request body
+ * @param {Object} body - Request body
+ * @param {Array<Object>} questions - Questions from the request body
+ * @param {String} [current] - The assignment's current answer sheet type
+ * @returns {Object} { error } if invalid, otherwise { answerSheet }
+ */
+const parseAnswerSheet = (body, questions, current = "written") => {
+  const answerSheet =
+    body.answerSheet === undefined ? current : body.answerSheet;
+  if (!["written", "bubble"].includes(answerSheet)) {
+    return { error: 'answerSheet must be "written" or "bubble"' };
+  }
+  if (
+    answerSheet === "bubble" &&
+    questions.some((q) => q.questionType !== "mcq")
+  ) {
+    return { error: "Bubble sheet assignments can only have MCQ questions" };
+  }
+  return { answerSheet };
+};
 
 /**
  * Create a new assignment with questions
@@ -46,6 +185,17 @@ exports.createAssignment = async (req, res) => {
       });
     }
 
+    const schedule = parseSchedule(req.body);
+    const sheet = parseAnswerSheet(req.body, questions);
+    const questionError =
+      schedule.error || sheet.error || findQuestionError(questions);
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: questionError,
+      });
+    }
+
     // Find the teacher
     const teacher = await Teacher.findById(teacherId);
     if (!teacher) {
@@ -69,7 +219,7 @@ exports.createAssignment = async (req, res) => {
 
     // Validate class and teacher relationship
     const classData = await Class.findById(classId);
-    if (!classData) {
+    if (!classData || classData.deletedAt) {
       console.error("Class not found with ID:", classId);
       return res.status(404).json({
         success: false,
@@ -90,11 +240,7 @@ exports.createAssignment = async (req, res) => {
     }
 
     // 1. Create question documents
-    const questionDocs = questions.map((q) => ({
-      text: q.text,
-      maxMarks: q.maxMarks || 0,
-      rubric: q.rubric || "",
-    }));
+    const questionDocs = questions.map(editableQuestionFields);
 
     const createdQuestions = await Question.insertMany(questionDocs);
     const questionIds = createdQuestions.map((q) => q._id);
@@ -103,7 +249,10 @@ exports.createAssignment = async (req, res) => {
     const newAssignment = await Assignment.create({
       title,
       questions: questionIds,
-      active: active !== undefined ? active : true,
+      active:
+        !isClosed(schedule.fields) && (active !== undefined ? active : true),
+      answerSheet: sheet.answerSheet,
+      ...schedule.fields,
     });
 
     // 3. Add the assignment to the class
@@ -153,6 +302,9 @@ exports.createAssignment = async (req, res) => {
         id: newAssignment._id,
         title: newAssignment.title,
         active: newAssignment.active,
+        openDate: newAssignment.openDate,
+        dueDate: newAssignment.dueDate,
+        closeDate: newAssignment.closeDate,
         questionCount: questionIds.length,
         classId: classData._id,
         studentsAssigned: students.length,
@@ -169,14 +321,55 @@ exports.createAssignment = async (req, res) => {
 };
 
 /**
- * Update an existing assignment
+ * Compare the questions in an update request against an assignment's current ones.
+ * Incoming questions that carry the id (`id` or `_id`) of a current question are
+ * treated as edits of it; the rest are new, and current questions not sent are removed.
+ * @param {Array<Object>} existing - Current Question documents, in order
+ * @param {Array<Object>} incoming - Questions from the request body, in order
+ * @returns {Object} { entries, removed } where each entry is
+ *   { existing?, fields, changed, maxMarksChanged }
+ */
+const diffQuestions = (existing, incoming) => {
+  const matchedIds = new Set();
+  const entries = incoming.map((q) => {
+    const id = String(q.id || q._id || "");
+    const current = existing.find(
+      (e) => e._id.toString() === id && !matchedIds.has(id)
+    );
+    const fields = editableQuestionFields(q);
+    if (!current) {
+      return { fields, changed: true, maxMarksChanged: false };
+    }
+
+    matchedIds.add(id);
+    const before = editableQuestionFields(current);
+    return {
+      existing: current,
+      fields,
+      changed: Object.keys(fields).some(
+        (key) => JSON.stringify(fields[key]) !== JSON.stringify(before[key])
+      ),
+      maxMarksChanged: fields.maxMarks !== before.maxMarks,
+    };
+  });
+  const removed = existing.filter((e) => !matchedIds.has(e._id.toString()));
+  return { entries, removed };
+};
+
+/**
+ * Update an existing assignment.
+ * Questions are diffed rather than replaced: unchanged questions keep their
+ * student responses and scores, removed questions are archived along with
+ * their responses, and new questions start unanswered. Auto-graded MCQ
+ * answers are rescored when their answer key changes. An edit that would
+ * invalidate graded work returns 409 with warnings unless `confirm` is true.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.updateAssignment = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { title, questions, active } = req.body;
+    const { title, questions, active, confirm } = req.body;
     const teacherId = req.user.id;
 
     console.log("Assignment update request:", {
@@ -210,7 +403,10 @@ exports.updateAssignment = async (req, res) => {
     }
 
     // Find the class that contains this assignment
-    const classData = await Class.findOne({ assignments: assignmentId });
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      deletedAt: null,
+    });
     if (!classData) {
       return res.status(404).json({
         success: false,
@@ -227,73 +423,200 @@ exports.updateAssignment = async (req, res) => {
       });
     }
 
-    // Get existing question IDs to delete
-    const existingQuestionIds = assignment.questions;
+    const schedule = parseSchedule(req.body, assignment);
+    const sheet = parseAnswerSheet(req.body, questions, assignment.answerSheet);
+    const questionError =
+      schedule.error || sheet.error || findQuestionError(questions);
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: questionError,
+      });
+    }
+
+    // Load the current questions in assignment order
+    const questionDocs = await Question.find({
+      _id: { $in: assignment.questions },
+    });
+    const existingQuestions = assignment.questions
+      .map((id) => questionDocs.find((q) => q._id.toString() === id.toString()))
+      .filter(Boolean);
 
-    // Create new question documents
-    const questionDocs = questions.map((q) => ({
-      text: q.text,
-      maxMarks: q.maxMarks || 0,
-      rubric: q.rubric || "",
-    }));
+    const { entries, removed } = diffQuestions(existingQuestions, questions);
+    const removedIds = removed.map((q) => q._id.toString());
+    const maxMarksChangedIds = entries
+      .filter((e) => e.existing && e.maxMarksChanged)
+      .map((e) => e.existing._id.toString());
+
+    const studentsWithAssignment = await Student.find({
+      "assignments.assignment": assignmentId,
+    });
+
+    // Resolve every response to its current question before anything moves,
+    // since responses may refer to questions by position
+    const studentEntries = studentsWithAssignment
+      .map((student) => ({
+        student,
+        studentAssignment: student.assignments.find(
+          (a) => a.assignment.toString() === assignmentId
+        ),
+      }))
+      .filter(({ studentAssignment }) => studentAssignment);
+    for (const { studentAssignment } of studentEntries) {
+      for (const response of studentAssignment.responses) {
+        const question = findQuestionForResponse(
+          existingQuestions,
+          response.question_id
+        );
+        if (question) response.question_id = question._id.toString();
+      }
+    }
+
+    // Warn about graded work the edit would invalidate
+    const warnings = [];
+    for (const question of existingQuestions) {
+      const id = question._id.toString();
+      const reason = removedIds.includes(id)
+        ? "removed"
+        : maxMarksChangedIds.includes(id)
+        ? "maxMarksChanged"
+        : null;
+      if (!reason) continue;
+
+      const gradedResponses = studentEntries.filter(({ studentAssignment }) =>
+        studentAssignment.responses.some(
+          (r) => r.question_id === id && r.marks_awarded !== null
+        )
+      ).length;
+      if (gradedResponses > 0) {
+        warnings.push({
+          questionId: id,
+          text: question.text,
+          reason,
+          gradedResponses,
+        });
+      }
+    }
+
+    if (warnings.length > 0 && confirm !== true) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This edit would invalidate graded work. Resend with confirm set to true to apply it.",
+        requiresConfirmation: true,
+        warnings,
+      });
+    }
+
+    // Apply question edits. A question shared with another class's copy of
+    // this assignment is copied rather than edited in place.
+    const replacedIds = {};
+    const newQuestionIds = [];
+    for (const entry of entries) {
+      if (!entry.existing) {
+        const created = await Question.create(entry.fields);
+        newQuestionIds.push(created._id);
+        continue;
+      }
 
-    const newQuestions = await Question.insertMany(questionDocs);
-    const newQuestionIds = newQuestions.map((q) => q._id);
+      const { existing } = entry;
+      if (entry.changed) {
+        const sharedWith = await Assignment.countDocuments({
+          _id: { $ne: assignment._id },
+          questions: existing._id,
+        });
+        if (sharedWith > 0) {
+          const { _id, __v, ...fields } = existing.toObject();
+          const copy = await Question.create({ ...fields, ...entry.fields });
+          replacedIds[existing._id.toString()] = copy._id.toString();
+          newQuestionIds.push(copy._id);
+          continue;
+        }
+        Object.assign(existing, entry.fields);
+        await existing.save();
+      }
+      newQuestionIds.push(existing._id);
+    }
 
     // Update the assignment with new information
     assignment.title = title;
     assignment.questions = newQuestionIds;
+    assignment.archivedQuestions.push(...removed.map((q) => q._id));
     if (active !== undefined) {
       assignment.active = active;
     }
+    assignment.answerSheet = sheet.answerSheet;
+    assignment.set(schedule.fields);
+    if (isClosed(assignment)) {
+      assignment.active = false;
+    }
 
     await assignment.save();
 
-    // Find all students who have this assignment and update their responses
-    const studentsWithAssignment = await Student.find({
-      "assignments.assignment": assignmentId,
-    });
-    console.log(
-      `Found ${studentsWithAssignment.length} students with this assignment`
-    );
-
-    // Create empty responses for the new questions
-    const emptyResponses = newQuestionIds.map((questionId) => ({
-      question: questionId,
-      solution: "",
-    }));
-
-    // Update each student's assignment
-    for (const student of studentsWithAssignment) {
-      // Find the assignment in the student's assignments array
-      const assignmentIndex = student.assignments.findIndex(
-        (a) => a.assignment.toString() === assignmentId
-      );
-
-      if (assignmentIndex !== -1) {
-        // Update with new questions while preserving the assignment status
-        const currentStatus = student.assignments[assignmentIndex].status;
-        const submissionDate =
-          student.assignments[assignmentIndex].submissionDate;
-
-        // Replace the responses with new empty ones
-        student.assignments[assignmentIndex].responses = emptyResponses;
-
-        await student.save();
-        console.log(`Updated assignment for student: ${student.full_name}`);
+    // Carry student responses over to the edited questions
+    const fieldsById = {};
+    for (const entry of entries) {
+      if (entry.existing && entry.changed) {
+        fieldsById[entry.existing._id.toString()] = entry.fields;
       }
     }
+    let responsesRescored = 0;
+    let resultsUnpublished = 0;
+    let studentsUpdated = 0;
+    for (const { student, studentAssignment } of studentEntries) {
+      if (studentAssignment.responses.length === 0) continue;
+
+      const kept = [];
+      let scoreChanged = false;
+      for (const response of studentAssignment.responses) {
+        if (removedIds.includes(response.question_id)) {
+          studentAssignment.archivedResponses.push(response.toObject());
+          scoreChanged = true;
+          continue;
+        }
+        const edited = fieldsById[response.question_id];
+        if (
+          edited &&
+          response.auto_graded &&
+          response.overrides.length === 0 &&
+          edited.questionType === "mcq"
+        ) {
+          // Rescore answers marked from the old answer key. Marks a teacher
+          // has overridden are kept.
+          const marks = scoreMcqAnswer(edited, response.selected_options);
+          if (marks !== response.marks_awarded) scoreChanged = true;
+          response.max_marks = edited.maxMarks;
+          response.marks_awarded = marks;
+          responsesRescored++;
+        } else if (maxMarksChangedIds.includes(response.question_id)) {
+          response.max_marks = edited.maxMarks;
+          if (response.marks_awarded > response.max_marks) {
+            response.marks_awarded = response.max_marks;
+          }
+          scoreChanged = true;
+        }
+        response.question_id =
+          replacedIds[response.question_id] || response.question_id;
+        kept.push(response);
+      }
+      studentAssignment.responses = kept;
+      // A changed score reaches the student when the result is published again
+      if (scoreChanged && studentAssignment.published) {
+        unpublishResult(studentAssignment);
+        resultsUnpublished++;
+      }
 
-    // Delete the old questions to prevent orphaned data
-    if (existingQuestionIds && existingQuestionIds.length > 0) {
-      await Question.deleteMany({ _id: { $in: existingQuestionIds } });
+      await student.save();
+      studentsUpdated++;
     }
 
     console.log("Assignment updated successfully:", {
       assignmentId: assignment._id,
       title: assignment.title,
       questionsCount: newQuestionIds.length,
-      studentsUpdated: studentsWithAssignment.length,
+      questionsRemoved: removed.length,
+      studentsUpdated,
+      resultsUnpublished,
     });
 
     res.status(200).json({
@@ -303,8 +626,16 @@ exports.updateAssignment = async (req, res) => {
         id: assignment._id,
         title: assignment.title,
         active: assignment.active,
+        openDate: assignment.openDate,
+        dueDate: assignment.dueDate,
+        closeDate: assignment.closeDate,
         questionCount: newQuestionIds.length,
-        studentsUpdated: studentsWithAssignment.length,
+        questionsAdded: entries.filter((e) => !e.existing).length,
+        questionsRemoved: removed.length,
+        studentsUpdated,
+        responsesRescored,
+        resultsUnpublished,
+        warnings,
       },
     });
   } catch (err) {
@@ -317,6 +648,319 @@ exports.updateAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Load an assignment together with the class it belongs to, checking the teacher owns it
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Object} { status, error } on failure, otherwise the assignment,
+ *   classData and teacher documents
+ */
+const findOwnedAssignment = async (assignmentId, teacherId) => {
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment) {
+    return { status: 404, error: "Assignment not found" };
+  }
+
+  const classData = await Class.findOne({
+    assignments: assignmentId,
+    deletedAt: null,
+  });
+  const teacher = await Teacher.findById(teacherId);
+  if (
+    !classData ||
+    !teacher ||
+    !teacher.classes.includes(classData._id.toString())
+  ) {
+    return {
+      status: 403,
+      error: "You don't have permission to manage this assignment",
+    };
+  }
+
+  return { assignment, classData, teacher };
+};
+
+/**
+ * IDs of the students currently in the teacher's classes that have an
+ * assignment. Students removed from a class keep their entry for the
+ * assignment, so entries alone don't say who is still in the class.
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} teacherId - ID of the teacher
+ * @returns {Promise<Array>} Student IDs
+ */
+const findClassStudentIds = async (assignmentId, teacherId) => {
+  const classes = await Class.find({
+    assignments: assignmentId,
+    teacher: teacherId,
+    deletedAt: null,
+  }).select("students");
+  return classes.flatMap((c) => c.students);
+};
+
+/**
+ * Load the class an assignment is being copied or assigned to
+ * @param {String} classId - Target class ID
+ * @param {Object} teacher - Teacher document
+ * @returns {Object} { status, error } on failure, otherwise { classData }
+ */
+const findTargetClass = async (classId, teacher) => {
+  const classData = await Class.findById(classId);
+  if (!classData || classData.deletedAt) {
+    return { status: 404, error: "Class not found" };
+  }
+  if (!teacher.classes.includes(classData._id.toString())) {
+    return {
+      status: 403,
+      error: "You don't have permission to add assignments to this class",
+    };
+  }
+  return { classData };
+};
+
+/**
+ * Add an assignment to a class and give every student in it a pending entry
+ * @param {Object} assignment - Assignment document
+ * @param {Object} classData - Class document
+ * @returns {Promise<Number>} Number of students assigned
+ */
+const addAssignmentToClass = async (assignment, classData) => {
+  classData.assignments.push(assignment._id);
+  await classData.save();
+
+  const students = await Student.find({ classes: classData._id });
+  for (const student of students) {
+    const hasAssignment = student.assignments.some(
+      (a) => a.assignment.toString() === assignment._id.toString()
+    );
+    if (!hasAssignment) {
+      student.assignments.push({
+        assignment: assignment._id,
+        status: "pending",
+        responses: [],
+      });
+      await student.save();
+    }
+  }
+  return students.length;
+};
+
+/**
+ * Delete an assignment along with its questions, grading jobs and student entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { assignment } = lookup;
+
+    await Class.updateMany(
+      { assignments: assignment._id },
+      { $pull: { assignments: assignment._id } }
+    );
+    const { modifiedCount } = await Student.updateMany(
+      { "assignments.assignment": assignment._id },
+      { $pull: { assignments: { assignment: assignment._id } } }
+    );
+    await gradingQueue.removeJobs({ assignment: assignment._id });
+    await Assignment.deleteOne({ _id: assignment._id });
+    await Question.deleteUnreferenced([
+      ...assignment.questions,
+      ...assignment.archivedQuestions,
+    ]);
+
+    console.log("Assignment deleted:", {
+      assignmentId: assignment._id,
+      studentsUpdated: modifiedCount,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Assignment deleted successfully",
+      data: {
+        id: assignment._id,
+        studentsUpdated: modifiedCount,
+      },
+    });
+  } catch (err) {
+    console.error("Error deleting assignment:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Duplicate an assignment with its own copy of every question.
+ * The copy goes to the same class unless a classId is given, and keeps the
+ * late penalty but not the dates, which can be set in the same request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.duplicateAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { title, classId } = req.body;
+
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ success: false, message: schedule.error });
+    }
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { assignment, teacher } = lookup;
+
+    let { classData } = lookup;
+    if (classId) {
+      const target = await findTargetClass(classId, teacher);
+      if (target.error) {
+        return res
+          .status(target.status)
+          .json({ success: false, message: target.error });
+      }
+      classData = target.classData;
+    }
+
+    // Deep-copy the questions so edits to one assignment don't affect the other
+    const questions = await Question.find({
+      _id: { $in: assignment.questions },
+    });
+    const questionDocs = assignment.questions
+      .map((id) => questions.find((q) => q._id.toString() === id.toString()))
+      .filter(Boolean)
+      .map((q) => {
+        const { _id, __v, ...fields } = q.toObject();
+        return fields;
+      });
+    const createdQuestions = await Question.insertMany(questionDocs);
+
+    const copy = await Assignment.create({
+      title: title || `${assignment.title} (Copy)`,
+      questions: createdQuestions.map((q) => q._id),
+      active: assignment.active && !isClosed(schedule.fields),
+      latePenalty: assignment.latePenalty,
+      answerSheet: assignment.answerSheet,
+      ...schedule.fields,
+    });
+    const studentsAssigned = await addAssignmentToClass(copy, classData);
+
+    res.status(201).json({
+      success: true,
+      message: "Assignment duplicated successfully",
+      data: {
+        id: copy._id,
+        title: copy.title,
+        active: copy.active,
+        questionCount: createdQuestions.length,
+        classId: classData._id,
+        studentsAssigned,
+      },
+    });
+  } catch (err) {
+    console.error("Error duplicating assignment:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Give an assignment to another class. The new class gets its own assignment,
+ * with fresh pending student entries, that shares the original's questions.
+ * Dates for the new class can be set in the same request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.assignToClass = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { classId, title } = req.body;
+
+    if (!classId) {
+      return res.status(400).json({
+        success: false,
+        message: "Class ID is required",
+      });
+    }
+
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ success: false, message: schedule.error });
+    }
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { assignment, teacher } = lookup;
+
+    if (lookup.classData._id.toString() === classId) {
+      return res.status(400).json({
+        success: false,
+        message: "Assignment already belongs to this class",
+      });
+    }
+
+    const target = await findTargetClass(classId, teacher);
+    if (target.error) {
+      return res
+        .status(target.status)
+        .json({ success: false, message: target.error });
+    }
+
+    const assigned = await Assignment.create({
+      title: title || assignment.title,
+      questions: assignment.questions,
+      active: assignment.active && !isClosed(schedule.fields),
+      latePenalty: assignment.latePenalty,
+      answerSheet: assignment.answerSheet,
+      ...schedule.fields,
+    });
+    const studentsAssigned = await addAssignmentToClass(
+      assigned,
+      target.classData
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Assignment assigned to class successfully",
+      data: {
+        id: assigned._id,
+        title: assigned.title,
+        active: assigned.active,
+        questionCount: assigned.questions.length,
+        classId: target.classData._id,
+        studentsAssigned,
+      },
+    });
+  } catch (err) {
+    console.error("Error assigning assignment to class:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
 /**
  * Save an assignment draft for a teacher
  * @param {Object} req - Express request object
@@ -358,7 +1002,7 @@ exports.saveDraft = async (req, res) => {
       questions: questions.map((q, index) => ({
         text: q.text,
         points: q.points || 0,
-        rubric: q.rubric || "",
+        rubric: normalizeRubric(q.rubric, q.points || 0),
       })),
       lastUpdated: new Date(),
       classId: classId || null,
@@ -548,10 +1192,10 @@ exports.getAssignmentDetails = async (req, res) => {
   try {
     const { assignmentId } = req.params;
 
-    if (!assignmentId) {
+    if (!mongoose.isValidObjectId(assignmentId)) {
       return res.status(400).json({
         success: false,
-        message: "Assignment ID is required",
+        message: "Invalid assignment ID",
       });
     }
 
@@ -568,13 +1212,17 @@ exports.getAssignmentDetails = async (req, res) => {
       });
     }
 
-    // Find the class containing this assignment
-    const classData = await Class.findOne({ assignments: assignmentId });
+    // Find the teacher's class containing this assignment
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      teacher: req.user.id,
+      deletedAt: null,
+    });
 
     if (!classData) {
-      return res.status(404).json({
+      return res.status(403).json({
         success: false,
-        message: "Class not found for this assignment",
+        message: "You don't have permission to view this assignment",
       });
     }
 
@@ -607,14 +1255,34 @@ exports.getAssignmentDetails = async (req, res) => {
           };
         }
 
-        // Removed grading-specific score calculation; will be rewritten
+        // Score is only meaningful once at least one response has been marked
+        const isScored = studentAssignment.responses.some(
+          (r) => r.marks_awarded !== null && r.marks_awarded !== undefined
+        );
+        const totalScore = isScored ? studentAssignment.totalScore : null;
+
         return {
           studentId: student._id,
           studentName: student.full_name,
           status: studentAssignment.status,
           submissionDate: studentAssignment.submissionDate,
-          isShared: studentAssignment.isShared,
-          sharedUrl: studentAssignment.sharedUrl,
+          isLate: studentAssignment.isLate,
+          latePenaltyPercent: studentAssignment.latePenaltyPercent,
+          failureReason: studentAssignment.failureReason || null,
+          totalScore,
+          maxScore: maxMarks,
+          percentage:
+            isScored && maxMarks > 0
+              ? Math.round((totalScore / maxMarks) * 10000) / 100
+              : null,
+          responses: studentAssignment.responses.map(formatResponse),
+          reviewRemaining: countReviewItems(studentAssignment),
+          published: studentAssignment.published,
+          publishedAt: studentAssignment.publishedAt || null,
+          isShared: isShareActive(studentAssignment),
+          sharedUrl: isShareActive(studentAssignment)
+            ? studentAssignment.sharedUrl
+            : null,
         };
       })
     );
@@ -628,9 +1296,18 @@ exports.getAssignmentDetails = async (req, res) => {
         id: assignment._id,
         title: assignment.title,
         status: assignment.active ? "active" : "completed",
+        answerSheet: assignment.answerSheet,
+        openDate: assignment.openDate,
+        dueDate: assignment.dueDate,
+        closeDate: assignment.closeDate,
+        latePenalty: assignment.latePenalty,
         maxMarks,
         questions: assignment.questions,
         students: studentResults,
+        reviewRemaining: studentResults.reduce(
+          (total, r) => total + (r.reviewRemaining || 0),
+          0
+        ),
         classId: classData._id.toString(), // Ensure classId is a string
         className: classData.title,
       },
@@ -683,7 +1360,10 @@ exports.getAvailableStudents = async (req, res) => {
     }
 
     // Find the class containing this assignment
-    const classData = await Class.findOne({ assignments: assignmentId });
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      deletedAt: null,
+    });
 
     if (!classData) {
       return res.status(404).json({
@@ -746,15 +1426,22 @@ exports.getQuestionRubric = async (req, res) => {
         message: "Question not found in this assignment",
       });
     }
-    const question = await Question.findById(questionId).select("rubric");
+    // Read raw so a rubric not yet migrated from text is still returned
+    const question = await Question.findById(questionId)
+      .select("rubric maxMarks")
+      .lean();
     if (!question) {
       return res
         .status(404)
         .json({ success: false, message: "Question not found" });
     }
-    return res
-      .status(200)
-      .json({ success: true, data: { rubric: question.rubric } });
+    return res.status(200).json({
+      success: true,
+      data: {
+        rubric: normalizeRubric(question.rubric, question.maxMarks),
+        maxMarks: question.maxMarks,
+      },
+    });
   } catch (err) {
     console.error("Error getting question rubric:", err);
     return res.status(500).json({
@@ -766,12 +1453,1072 @@ exports.getQuestionRubric = async (req, res) => {
 };
 
 /**
- * Save steps breakdown for a specific student's question response
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
+ * Load one student's response to a question in an assignment the teacher owns
+ * @param {Object} ids - assignmentId, studentId, questionId and teacherId
+ * @returns {Object} { status, error } on failure, otherwise the assignment,
+ *   question, teacher, student, studentAssignment and response documents
  */
-exports.saveQuestionStepsBreakdown = async (req, res) => {
-  res
-    .status(501)
-    .json({ success: false, message: "saveQuestionStepsBreakdown removed" });
+const findStudentResponse = async ({
+  assignmentId,
+  studentId,
+  questionId,
+  teacherId,
+}) => {
+  const assignment = await Assignment.findById(assignmentId).populate(
+    "questions",
+    "text maxMarks questionType rubric options correctOptions partialCredit negativeMarks"
+  );
+  if (!assignment) {
+    return { status: 404, error: "Assignment not found" };
+  }
+
+  const question = assignment.questions.find(
+    (q) => q._id.toString() === questionId
+  );
+  if (!question) {
+    return { status: 404, error: "Question not found in this assignment" };
+  }
+
+  // Verify this teacher owns the class the assignment belongs to
+  const classData = await Class.findOne({
+    assignments: assignmentId,
+    deletedAt: null,
+  });
+  const teacher = await Teacher.findById(teacherId);
+  if (
+    !classData ||
+    !teacher ||
+    !teacher.classes.includes(classData._id.toString())
+  ) {
+    return {
+      status: 403,
+      error: "You don't have permission to grade this assignment",
+    };
+  }
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    return { status: 404, error: "Student not found" };
+  }
+
+  const studentAssignment = student.assignments.find(
+    (a) => a.assignment.toString() === assignmentId
+  );
+  if (!studentAssignment) {
+    return { status: 404, error: "Assignment not assigned to this student" };
+  }
+
+  const response = findResponseForQuestion(
+    studentAssignment.responses,
+    assignment.questions,
+    question
+  );
+  if (!response) {
+    return {
+      status: 404,
+      error: "Student has not submitted a response for this question",
+    };
+  }
+
+  return {
+    assignment,
+    question,
+    teacher,
+    student,
+    studentAssignment,
+    response,
+  };
+};
+
+/**
+ * Save steps breakdown for a specific student's question response.
+ * A change to the answer's marks is recorded in its override history, with
+ * an optional `reason`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.saveQuestionStepsBreakdown = async (req, res) => {
+  try {
+    const { assignmentId, studentId, questionId } = req.params;
+    const { steps, feedback, reason } = req.body;
+    const teacherId = req.user.id;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one step is required",
+      });
+    }
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be a string",
+      });
+    }
+
+    // Validate each step before touching the database
+    for (const [index, step] of steps.entries()) {
+      const marksAwarded = Number(step.marksAwarded);
+      const marksPossible = Number(step.marksPossible);
+      if (
+        isNaN(marksAwarded) ||
+        isNaN(marksPossible) ||
+        marksAwarded < 0 ||
+        marksPossible < 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Step ${
+            index + 1
+          } must have non-negative marksAwarded and marksPossible`,
+        });
+      }
+      if (marksAwarded > marksPossible) {
+        return res.status(400).json({
+          success: false,
+          message: `Step ${index + 1} awards more marks than are possible`,
+        });
+      }
+    }
+
+    const lookup = await findStudentResponse({
+      assignmentId,
+      studentId,
+      questionId,
+      teacherId,
+    });
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { question, student, studentAssignment, response } = lookup;
+
+    const totalPossible = steps.reduce(
+      (total, s) => total + Number(s.marksPossible),
+      0
+    );
+    if (totalPossible > question.maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `Steps add up to ${totalPossible} marks but the question is worth ${question.maxMarks}`,
+      });
+    }
+
+    response.steps = steps.map((s) => ({
+      step: s.text || "",
+      marks_awarded: Number(s.marksAwarded),
+      marks_possible: Number(s.marksPossible),
+      comment: s.comment || "",
+    }));
+    const newMarks = steps.reduce(
+      (total, s) => total + Number(s.marksAwarded),
+      0
+    );
+    if (newMarks !== response.marks_awarded) {
+      applyMarksOverride(
+        lookup,
+        teacherId,
+        newMarks,
+        reason && reason.trim() ? reason : "Step breakdown saved"
+      );
+    }
+    response.max_marks = question.maxMarks;
+    if (feedback !== undefined) {
+      response.feedback = feedback;
+    }
+
+    studentAssignment.calculateTotals();
+    await student.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Steps breakdown saved successfully",
+      data: {
+        response: formatResponse(response),
+        totalScore: studentAssignment.totalScore,
+        maxScore: studentAssignment.maxScore,
+        published: studentAssignment.published,
+      },
+    });
+  } catch (err) {
+    console.error("Error saving steps breakdown:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Take a student's result back to unpublished, so share links stop working
+ * until the teacher publishes it again
+ * @param {Object} studentAssignment - Student's assignment entry
+ */
+const unpublishResult = (studentAssignment) => {
+  studentAssignment.published = false;
+  studentAssignment.publishedAt = undefined;
+  studentAssignment.publishedBy = undefined;
+};
+
+/**
+ * Record a teacher's change to a response's marks in its override history.
+ * A published result is unpublished, so the corrected marks reach the student
+ * (and their notification) only when it is published again.
+ * @param {Object} item - findStudentResponse result
+ * @param {String} teacherId - Teacher making the change
+ * @param {Number} newMarks - Marks to set
+ * @param {String} reason - Why the marks changed
+ */
+const applyMarksOverride = (item, teacherId, newMarks, reason) => {
+  const { studentAssignment, response, question } = item;
+  if (studentAssignment.published) unpublishResult(studentAssignment);
+  response.overrides.push({
+    previous_marks: response.marks_awarded,
+    new_marks: newMarks,
+    teacher: teacherId,
+    reason: reason.trim(),
+    created_at: new Date(),
+  });
+  response.marks_awarded = newMarks;
+  response.max_marks = question.maxMarks;
+};
+
+/**
+ * Override the marks awarded for a student's answer, keeping an audit trail
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.overrideQuestionMarks = async (req, res) => {
+  try {
+    const { assignmentId, studentId, questionId } = req.params;
+    const { marks, reason } = req.body;
+    const teacherId = req.user.id;
+
+    const newMarks = Number(marks);
+    if (marks === undefined || marks === null || isNaN(newMarks)) {
+      return res.status(400).json({
+        success: false,
+        message: "Marks are required",
+      });
+    }
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required when overriding marks",
+      });
+    }
+
+    const lookup = await findStudentResponse({
+      assignmentId,
+      studentId,
+      questionId,
+      teacherId,
+    });
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { question, student, studentAssignment, response } = lookup;
+
+    if (newMarks < 0 || newMarks > question.maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks must be between 0 and ${question.maxMarks}`,
+      });
+    }
+
+    applyMarksOverride(lookup, teacherId, newMarks, reason);
+    markReviewed(response, teacherId);
+
+    studentAssignment.calculateTotals();
+    await student.save();
+
+    console.log("Marks overridden:", {
+      assignmentId,
+      studentId,
+      questionId,
+      newMarks,
+      teacherId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Marks updated successfully",
+      data: {
+        response: formatResponse(response),
+        totalScore: studentAssignment.totalScore,
+        maxScore: studentAssignment.maxScore,
+        published: studentAssignment.published,
+      },
+    });
+  } catch (err) {
+    console.error("Error overriding marks:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Get the marks override history for a student's answer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getQuestionMarksHistory = async (req, res) => {
+  try {
+    const { assignmentId, studentId, questionId } = req.params;
+    const teacherId = req.user.id;
+
+    const lookup = await findStudentResponse({
+      assignmentId,
+      studentId,
+      questionId,
+      teacherId,
+    });
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { response } = lookup;
+
+    // Populate teacher names for display
+    const teacherIds = [
+      ...new Set(response.overrides.map((o) => o.teacher.toString())),
+    ];
+    const teachers = await Teacher.find({ _id: { $in: teacherIds } }).select(
+      "name"
+    );
+    const teacherNames = {};
+    teachers.forEach((t) => {
+      teacherNames[t._id.toString()] = t.name;
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        questionId,
+        marksAwarded: response.marks_awarded,
+        history: response.overrides.map((o) => ({
+          previousMarks: o.previous_marks,
+          newMarks: o.new_marks,
+          teacherId: o.teacher,
+          teacherName: teacherNames[o.teacher.toString()] || null,
+          reason: o.reason,
+          createdAt: o.created_at,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error("Error getting marks history:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Get one student's submission for an assignment, for the teacher review screen
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getStudentSubmission = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const teacherId = req.user.id;
+
+    const assignment = await Assignment.findById(assignmentId).populate(
+      "questions",
+      "text maxMarks rubric questionType order"
+    );
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found" });
+    }
+
+    // Verify this teacher owns the class the assignment belongs to
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      deletedAt: null,
+    });
+    const teacher = await Teacher.findById(teacherId);
+    if (
+      !classData ||
+      !teacher ||
+      !teacher.classes.includes(classData._id.toString())
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to view this assignment",
+      });
+    }
+
+    const student = await Student.findById(studentId).select(
+      "full_name rollNo assignments"
+    );
+    if (!student) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Student not found" });
+    }
+
+    const studentAssignment = student.assignments.find(
+      (a) => a.assignment.toString() === assignmentId
+    );
+    if (!studentAssignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not assigned to this student",
+      });
+    }
+
+    const questions = assignment.questions.map((question, index) => {
+      const response = findResponseForQuestion(
+        studentAssignment.responses,
+        assignment.questions,
+        question
+      );
+      return {
+        id: question._id,
+        number: index + 1,
+        text: question.text,
+        maxMarks: question.maxMarks,
+        rubric: question.rubric,
+        questionType: question.questionType,
+        response: response ? formatResponse(response) : null,
+      };
+    });
+
+    // Responses the cropper could not match to a question
+    const unmatchedResponses = studentAssignment.responses
+      .filter(
+        (r) => !findQuestionForResponse(assignment.questions, r.question_id)
+      )
+      .map(formatResponse);
+
+    const maxMarks = assignment.questions.reduce(
+      (total, q) => total + q.maxMarks,
+      0
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        assignmentTitle: assignment.title,
+        student: {
+          id: student._id,
+          name: student.full_name,
+          rollNo: student.rollNo,
+        },
+        status: studentAssignment.status,
+        submissionDate: studentAssignment.submissionDate,
+        failureReason: studentAssignment.failureReason || null,
+        totalScore: studentAssignment.totalScore,
+        maxScore: maxMarks,
+        pages: studentAssignment.pages,
+        questions,
+        unmatchedResponses,
+      },
+    });
+  } catch (err) {
+    console.error("Error getting student submission:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * List the responses waiting for review in an assignment: low-confidence
+ * automatic grades, unreadable images, blank answers and possibly misnumbered crops.
+ * Pass ?includeReviewed=true to also list flagged responses already reviewed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const includeReviewed = req.query.includeReviewed === "true";
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const assignment = await lookup.assignment.populate(
+      "questions",
+      "text maxMarks questionType"
+    );
+
+    const students = await Student.find({
+      _id: { $in: await findClassStudentIds(assignmentId, req.user.id) },
+      "assignments.assignment": assignmentId,
+    })
+      .select("full_name rollNo assignments")
+      .sort({ full_name: 1 });
+
+    const items = [];
+    let remaining = 0;
+    for (const student of students) {
+      const studentAssignment = student.assignments.find(
+        (a) => a.assignment.toString() === assignmentId
+      );
+      for (const response of studentAssignment.responses) {
+        if (response.needs_review) remaining++;
+        const flagged =
+          response.needs_review ||
+          (includeReviewed && response.review_reasons.length > 0);
+        if (!flagged) continue;
+
+        const question = findQuestionForResponse(
+          assignment.questions,
+          response.question_id
+        );
+        items.push({
+          studentId: student._id,
+          studentName: student.full_name,
+          rollNo: student.rollNo,
+          questionId: question ? question._id : response.question_id,
+          questionNumber: question
+            ? assignment.questions.indexOf(question) + 1
+            : null,
+          questionText: question ? question.text : null,
+          ...formatResponse(response),
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        title: assignment.title,
+        remaining,
+        canRelease: remaining === 0,
+        items,
+      },
+    });
+  } catch (err) {
+    console.error("Error getting review queue:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Load a response for a review action, from the route params
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} As findStudentResponse
+ */
+const findReviewItem = (req) =>
+  findStudentResponse({
+    assignmentId: req.params.assignmentId,
+    studentId: req.params.studentId,
+    questionId: req.params.questionId,
+    teacherId: req.user.id,
+  });
+
+/**
+ * Save a reviewed response and reply with it and what is left to review
+ * @param {Object} res - Express response object
+ * @param {Object} item - findStudentResponse result
+ * @param {String} message - Success message
+ */
+const sendReviewResult = async (res, item, message) => {
+  const { student, studentAssignment, response, assignment, teacher } = item;
+  studentAssignment.calculateTotals();
+  await student.save();
+
+  const students = await Student.find({
+    _id: { $in: await findClassStudentIds(assignment._id, teacher._id) },
+    "assignments.assignment": assignment._id,
+  }).select("assignments");
+  const remaining = students.reduce(
+    (total, s) =>
+      total +
+      countReviewItems(
+        s.assignments.find(
+          (a) => a.assignment.toString() === assignment._id.toString()
+        )
+      ),
+    0
+  );
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      response: formatResponse(response),
+      totalScore: studentAssignment.totalScore,
+      maxScore: studentAssignment.maxScore,
+      published: studentAssignment.published,
+      remaining,
+    },
+  });
+};
+
+/**
+ * Accept the automatic grade for a flagged response as it is.
+ * A blank answer with no grade is accepted as zero marks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.acceptReviewItem = async (req, res) => {
+  try {
+    const item = await findReviewItem(req);
+    if (item.error) {
+      return res
+        .status(item.status)
+        .json({ success: false, message: item.error });
+    }
+    const { question, response } = item;
+
+    if (response.marks_awarded === null) {
+      if (!response.review_reasons.includes("blank")) {
+        return res.status(400).json({
+          success: false,
+          message: "This response has no marks to accept; adjust or regrade it",
+        });
+      }
+      response.marks_awarded = 0;
+      response.max_marks = question.maxMarks;
+    }
+    markReviewed(response, req.user.id);
+
+    await sendReviewResult(res, item, "Grade accepted");
+  } catch (err) {
+    console.error("Error accepting review item:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Set the marks for a flagged response, recording the change in its override history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.adjustReviewItem = async (req, res) => {
+  try {
+    const { marks, reason, feedback } = req.body;
+    const newMarks = Number(marks);
+    if (marks === undefined || marks === null || isNaN(newMarks)) {
+      return res.status(400).json({
+        success: false,
+        message: "Marks are required",
+      });
+    }
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Reason must be a string",
+      });
+    }
+
+    const item = await findReviewItem(req);
+    if (item.error) {
+      return res
+        .status(item.status)
+        .json({ success: false, message: item.error });
+    }
+    const { question, response } = item;
+
+    if (newMarks < 0 || newMarks > question.maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `Marks must be between 0 and ${question.maxMarks}`,
+      });
+    }
+
+    applyMarksOverride(
+      item,
+      req.user.id,
+      newMarks,
+      reason && reason.trim() ? reason : "Adjusted during review"
+    );
+    if (feedback !== undefined) response.feedback = String(feedback);
+    markReviewed(response, req.user.id);
+
+    await sendReviewResult(res, item, "Grade adjusted");
+  } catch (err) {
+    console.error("Error adjusting review item:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Grade a flagged response again: MCQ answers from the answer key, written
+ * answers with the grading engine. A change in marks is recorded in the
+ * override history, so a regrade replacing a teacher's marks stays audited.
+ * The response stays in the queue if the new grade is flagged too.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.regradeReviewItem = async (req, res) => {
+  try {
+    const item = await findReviewItem(req);
+    if (item.error) {
+      return res
+        .status(item.status)
+        .json({ success: false, message: item.error });
+    }
+    const { question, response } = item;
+
+    let newMarks;
+    if (question.questionType === "mcq") {
+      newMarks = scoreMcqAnswer(question, response.selected_options);
+      response.auto_graded = true;
+      markReviewed(response, req.user.id);
+    } else {
+      if (!response.image_url) {
+        return res.status(400).json({
+          success: false,
+          message: "This response has no answer image to regrade",
+        });
+      }
+      if (!gradingEngine.provider) {
+        return res.status(400).json({
+          success: false,
+          message: "Automatic grading is not configured",
+        });
+      }
+      const { marks_awarded: gradedMarks, ...graded } =
+        await gradingEngine.gradeAnswer(question, response.image_url);
+      Object.assign(response, graded);
+      newMarks = gradedMarks;
+    }
+    if (newMarks !== response.marks_awarded) {
+      applyMarksOverride(item, req.user.id, newMarks, "Regraded during review");
+    }
+    response.max_marks = question.maxMarks;
+
+    await sendReviewResult(
+      res,
+      item,
+      response.needs_review
+        ? "Regraded, but the new grade still needs review"
+        : "Regraded"
+    );
+  } catch (err) {
+    console.error("Error regrading review item:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Why a student's result can't be published yet
+ * @param {Object} studentAssignment - The student's assignment entry
+ * @returns {String|null} The reason, or null if it can be published
+ */
+const publishBlocker = (studentAssignment) => {
+  if (studentAssignment.status !== "graded") {
+    return "Result has not been graded yet";
+  }
+  const reviewRemaining = countReviewItems(studentAssignment);
+  if (reviewRemaining > 0) {
+    return `${reviewRemaining} answer(s) still need review`;
+  }
+  return null;
+};
+
+/**
+ * Release a student's result to them and send their result notification
+ * @param {Object} student - Student document
+ * @param {Object} studentAssignment - The student's assignment entry
+ * @param {String} teacherId - Teacher publishing the result
+ */
+const publishEntry = async (student, studentAssignment, teacherId) => {
+  studentAssignment.published = true;
+  studentAssignment.publishedAt = new Date();
+  studentAssignment.publishedBy = teacherId;
+  await student.save();
+
+  // A failed message must not undo the publication
+  try {
+    await notifications.notifyResult(student._id, studentAssignment.assignment);
+  } catch (error) {
+    console.error("Error sending result notification:", error);
+  }
+};
+
+/**
+ * Load a student's entry for an assignment the teacher owns, from the route params
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { status, error } on failure, otherwise the
+ *   student and studentAssignment
+ */
+const findOwnedStudentEntry = async (req) => {
+  const { assignmentId, studentId } = req.params;
+  if (
+    !mongoose.isValidObjectId(assignmentId) ||
+    !mongoose.isValidObjectId(studentId)
+  ) {
+    return { status: 400, error: "Invalid assignment or student ID" };
+  }
+  const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+  if (lookup.error) return lookup;
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    return { status: 404, error: "Student not found" };
+  }
+  const studentAssignment = student.assignments.find(
+    (a) => a.assignment.toString() === assignmentId
+  );
+  if (!studentAssignment) {
+    return { status: 404, error: "Assignment not assigned to this student" };
+  }
+  return { student, studentAssignment };
+};
+
+/**
+ * Publish the graded results of an assignment, for every student or for the
+ * given studentIds. Results still waiting for grading or review are skipped.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.publishResults = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { studentIds } = req.body;
+
+    if (!mongoose.isValidObjectId(assignmentId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid assignment ID" });
+    }
+    if (
+      studentIds !== undefined &&
+      (!Array.isArray(studentIds) ||
+        !studentIds.every((id) => mongoose.isValidObjectId(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "studentIds must be an array of student IDs",
+      });
+    }
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+
+    const classStudentIds = await findClassStudentIds(
+      assignmentId,
+      req.user.id
+    );
+    const students = await Student.find({
+      _id: {
+        $in: studentIds
+          ? classStudentIds.filter((id) => studentIds.includes(id.toString()))
+          : classStudentIds,
+      },
+      "assignments.assignment": assignmentId,
+    });
+
+    const published = [];
+    const skipped = [];
+    for (const student of students) {
+      const studentAssignment = student.assignments.find(
+        (a) => a.assignment.toString() === assignmentId
+      );
+      if (studentAssignment.published) continue;
+
+      const reason = publishBlocker(studentAssignment);
+      if (reason) {
+        skipped.push({
+          studentId: student._id,
+          studentName: student.full_name,
+          reason,
+        });
+        continue;
+      }
+      await publishEntry(student, studentAssignment, req.user.id);
+      published.push(student._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${published.length} result(s) published`,
+      data: { published, skipped },
+    });
+  } catch (err) {
+    console.error("Error publishing results:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Publish one student's graded result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.publishStudentResult = async (req, res) => {
+  try {
+    const lookup = await findOwnedStudentEntry(req);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { student, studentAssignment } = lookup;
+
+    if (!studentAssignment.published) {
+      const reason = publishBlocker(studentAssignment);
+      if (reason) {
+        return res.status(400).json({ success: false, message: reason });
+      }
+      await publishEntry(student, studentAssignment, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Result published",
+      data: {
+        studentId: student._id,
+        published: true,
+        publishedAt: studentAssignment.publishedAt,
+      },
+    });
+  } catch (err) {
+    console.error("Error publishing result:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Withdraw a student's published result; share links stop working until it
+ * is published again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unpublishStudentResult = async (req, res) => {
+  try {
+    const lookup = await findOwnedStudentEntry(req);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { student, studentAssignment } = lookup;
+
+    unpublishResult(studentAssignment);
+    await student.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Result unpublished",
+      data: { studentId: student._id, published: false },
+    });
+  } catch (err) {
+    console.error("Error unpublishing result:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * List the students whose results for an assignment are not yet published,
+ * with whether each can be published now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUnpublishedResults = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    if (!mongoose.isValidObjectId(assignmentId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid assignment ID" });
+    }
+
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+
+    const students = await Student.find({
+      _id: { $in: await findClassStudentIds(assignmentId, req.user.id) },
+      "assignments.assignment": assignmentId,
+    })
+      .select("full_name rollNo assignments")
+      .sort({ full_name: 1 });
+
+    const unpublished = [];
+    for (const student of students) {
+      const studentAssignment = student.assignments.find(
+        (a) => a.assignment.toString() === assignmentId
+      );
+      if (studentAssignment.published) continue;
+
+      const reason = publishBlocker(studentAssignment);
+      unpublished.push({
+        studentId: student._id,
+        studentName: student.full_name,
+        rollNo: student.rollNo,
+        status: studentAssignment.status,
+        reviewRemaining: countReviewItems(studentAssignment),
+        canPublish: !reason,
+        reason,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: students.length,
+        unpublishedCount: unpublished.length,
+        readyCount: unpublished.filter((s) => s.canPublish).length,
+        students: unpublished,
+      },
+    });
+  } catch (err) {
+    console.error("Error getting unpublished results:", err);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
 };
@@ -6,6 +6,137 @@ const Class = require("../models/classModel");
 const Teacher = require("../models/teacherModel");
 const Student = require("../models/studentModel");
 const Assignment = require("../models/assignmentModel");
+const {
+  MOBILE_PATTERN,
+  parseRoster,
+  findRosterDuplicates,
+} = require("../utils/rosterUtils");
+const classCleanup = require("../services/classCleanup");
+
+/**
+ * Create a class for a teacher and enrol its students.
+ * Students are matched to existing records by mobile number, otherwise created.
+ * @param {String} title - Class title
+ * @param {Object} teacher - Teacher document
+ * @param {Array<Object>} students - { full_name, mobileNo, rollNo }
+ * @returns {Promise<Object>} { newClass, studentIds }
+ */
+const createClassWithStudents = async (title, teacher, students) => {
+  // Step 1: Create class (empty student list for now)
+  const newClass = await Class.create({
+    title,
+    teacher: teacher._id,
+    students: [], // we'll push them after creation
+    assignments: [],
+  });
+
+  // Step 2: Find existing students by mobile number or create new ones
+  const studentIds = [];
+  const mobileNumbers = students.map((student) => student.mobileNo);
+
+  // Find existing students by mobile number
+  const existingStudents = await Student.find({
+    mobileNo: { $in: mobileNumbers },
+  });
+
+  // Create a map of mobile numbers to existing students
+  const mobileToStudentMap = {};
+  existingStudents.forEach((student) => {
+    mobileToStudentMap[student.mobileNo] = student;
+  });
+
+  // Process each student
+  for (const studentData of students) {
+    const { full_name, mobileNo, rollNo } = studentData;
+
+    if (!full_name || !mobileNo) {
+      throw new Error("Each student must have full_name and mobileNo");
+    }
+
+    let studentId;
+
+    // Check if student with this mobile number already exists
+    if (mobileToStudentMap[mobileNo]) {
+      // Student exists, add this class to their classes array if not already there
+      const existingStudent = mobileToStudentMap[mobileNo];
+
+      // Check if student already has this class
+      if (!existingStudent.classes.includes(newClass._id)) {
+        existingStudent.classes.push(newClass._id);
+        await existingStudent.save();
+      }
+
+      studentId = existingStudent._id;
+    } else {
+      // Create new student with this class in their classes array
+      const newStudent = await Student.create({
+        full_name,
+        mobileNo,
+        rollNo: rollNo ? rollNo.trim() : "", // Trim roll number if exists
+        classes: [newClass._id],
+      });
+
+      studentId = newStudent._id;
+    }
+
+    studentIds.push(studentId);
+  }
+
+  // Step 3: Push students into class
+  newClass.students.push(...studentIds);
+  await newClass.save();
+
+  // Step 4: Push class into teacher
+  teacher.classes.push(newClass._id);
+  await teacher.save();
+
+  return { newClass, studentIds };
+};
+
+/**
+ * Check that a class exists and belongs to the teacher
+ * @param {String} classId - Class ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Object>} { status, message } on failure, otherwise { classData }
+ */
+const findOwnedClass = async (classId, teacherId) => {
+  const classData = await Class.findById(classId);
+  if (!classData || classData.deletedAt) {
+    return { status: 404, message: "Class not found" };
+  }
+  const teacher = await Teacher.findById(teacherId);
+  if (!teacher || !teacher.classes.includes(classData._id.toString())) {
+    return {
+      status: 403,
+      message: "You don't have permission to manage this class",
+    };
+  }
+  return { classData };
+};
+
+/**
+ * Give a student a pending entry for each assignment they do not have yet
+ * @param {Object} student - Student document, saved by the caller
+ * @param {Array} assignmentIds - Assignment IDs
+ * @returns {Number} How many entries were added
+ */
+const addPendingAssignments = (student, assignmentIds) => {
+  let added = 0;
+  for (const assignmentId of assignmentIds) {
+    const hasAssignment = student.assignments.some(
+      (a) => a.assignment.toString() === assignmentId.toString()
+    );
+    if (!hasAssignment) {
+      student.assignments.push({
+        assignment: assignmentId,
+        status: "pending",
+        responses: [],
+      });
+      added++;
+    }
+  }
+  return added;
+};
 
 /**
  * Create a new class with students
@@ -34,124 +165,183 @@ exports.createClass = async (req, res) => {
       return res.status(404).json({ message: "Teacher not found" });
     }
 
-    // Check for duplicate mobile numbers before proceeding
-    const mobileNumbers = students.map((student) => student.mobileNo);
-
-    // First check internally if there are duplicates in the submitted data
-    const duplicatesInRequest = mobileNumbers.filter(
-      (item, index) => mobileNumbers.indexOf(item) !== index
-    );
-
-    if (duplicatesInRequest.length > 0) {
-      return res.status(400).json({
-        message: "Duplicate mobile numbers in your request",
-        duplicates: duplicatesInRequest,
-      });
+    // Check for duplicate mobile and roll numbers before proceeding
+    const duplicateError = findRosterDuplicates(students);
+    if (duplicateError) {
+      return res.status(400).json(duplicateError);
     }
 
-    // Check for duplicate roll numbers (ignoring empty ones)
-    const nonEmptyRollNumbers = students
-      .filter((student) => student.rollNo?.trim())
-      .map((student) => student.rollNo.trim());
+    const { newClass, studentIds } = await createClassWithStudents(
+      title,
+      teacher,
+      students
+    );
 
-    // If we have roll numbers, check for duplicates within the submitted data
-    if (nonEmptyRollNumbers.length > 0) {
-      const duplicateRollNumbers = nonEmptyRollNumbers.filter(
-        (item, index) => nonEmptyRollNumbers.indexOf(item) !== index
-      );
+    res.status(201).json({
+      message: "Class and students created successfully",
+      data: {
+        id: newClass._id,
+        title: newClass.title,
+        teacher: teacher.full_name,
+        students: studentIds,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating class and students:", error);
 
-      if (duplicateRollNumbers.length > 0) {
-        return res.status(400).json({
-          message: "Duplicate roll numbers in your request",
-          duplicates: duplicateRollNumbers,
+    // Special handling for MongoDB duplicate key errors
+    if (error.code === 11000) {
+      if (error.keyPattern?.rollNo && error.keyPattern?.classes) {
+        // This is a duplicate roll number within the same class
+        return res.status(409).json({
+          message: "Duplicate roll number within this class",
+          duplicates: [error.keyValue.rollNo],
           type: "rollNo",
         });
       }
     }
 
-    // Step 1: Create class (empty student list for now)
-    const newClass = await Class.create({
-      title,
-      teacher: teacherId,
-      students: [], // we'll push them after creation
-      assignments: [],
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
     });
+  }
+};
 
-    // Step 2: Find existing students by mobile number or create new ones
-    const studentIds = [];
-
-    // Find existing students by mobile number
-    const existingStudents = await Student.find({
-      mobileNo: { $in: mobileNumbers },
-    });
+/**
+ * Import a class roster from an .xlsx or .csv file.
+ * Returns a preview unless `commit` is "true", in which case the class is
+ * created for the signed-in teacher.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.importRoster = async (req, res) => {
+  try {
+    const { title, teacherId, columns } = req.body;
+    const commit = String(req.body.commit).toLowerCase() === "true";
 
-    // Create a map of mobile numbers to existing students
-    const mobileToStudentMap = {};
-    existingStudents.forEach((student) => {
-      mobileToStudentMap[student.mobileNo] = student;
-    });
+    if (!req.file) {
+      return res.status(400).json({ message: "A roster file is required" });
+    }
+    if (commit && !title) {
+      return res.status(400).json({ message: "Title is required to import" });
+    }
+    if (teacherId && teacherId !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "You can only import classes for yourself" });
+    }
 
-    // Process each student
-    for (const studentData of students) {
-      const { full_name, mobileNo, rollNo } = studentData;
+    let mapping;
+    try {
+      mapping = columns
+        ? typeof columns === "string"
+          ? JSON.parse(columns)
+          : columns
+        : undefined;
+    } catch (error) {
+      return res.status(400).json({ message: "columns must be valid JSON" });
+    }
 
-      if (!full_name || !mobileNo) {
-        throw new Error("Each student must have full_name and mobileNo");
+    let roster;
+    try {
+      roster = parseRoster(req.file.buffer, mapping);
+    } catch (error) {
+      return res.status(400).json({
+        message: `Unable to read roster: ${error.message}`,
+      });
+    }
+    const { students } = roster;
+
+    // Per-row problems
+    const rows = students.map((student) => {
+      const errors = [];
+      if (!student.full_name) errors.push("Missing name");
+      if (!student.mobileNo) {
+        errors.push("Missing mobile number");
+      } else if (!MOBILE_PATTERN.test(student.mobileNo)) {
+        errors.push("Mobile number must contain only digits");
       }
-
-      let studentId;
-
-      // Check if student with this mobile number already exists
-      if (mobileToStudentMap[mobileNo]) {
-        // Student exists, add this class to their classes array if not already there
-        const existingStudent = mobileToStudentMap[mobileNo];
-
-        // Check if student already has this class
-        if (!existingStudent.classes.includes(newClass._id)) {
-          existingStudent.classes.push(newClass._id);
-          await existingStudent.save();
+      return { ...student, errors };
+    });
+    const duplicateError = findRosterDuplicates(students);
+    if (duplicateError) {
+      rows.forEach((row) => {
+        const value =
+          duplicateError.type === "rollNo" ? row.rollNo : row.mobileNo;
+        if (duplicateError.duplicates.includes(value)) {
+          row.errors.push(duplicateError.message);
         }
+      });
+    }
 
-        studentId = existingStudent._id;
-      } else {
-        // Create new student with this class in their classes array
-        const newStudent = await Student.create({
-          full_name,
-          mobileNo,
-          rollNo: rollNo ? rollNo.trim() : "", // Trim roll number if exists
-          classes: [newClass._id],
-        });
-
-        studentId = newStudent._id;
-      }
+    // Students who already exist are linked rather than created
+    const existingStudents = await Student.find({
+      mobileNo: { $in: students.map((s) => s.mobileNo).filter(Boolean) },
+    }).select("mobileNo full_name");
+    const existingByMobile = {};
+    existingStudents.forEach((student) => {
+      existingByMobile[student.mobileNo] = student;
+    });
+    rows.forEach((row) => {
+      const existing = existingByMobile[row.mobileNo];
+      row.existingStudentId = existing ? existing._id : null;
+    });
 
-      studentIds.push(studentId);
+    const invalidRows = rows.filter((row) => row.errors.length > 0);
+    const preview = {
+      headerRow: roster.headerRow,
+      columns: roster.columns,
+      totalRows: rows.length,
+      invalidRows: invalidRows.length,
+      existingStudents: existingStudents.length,
+      students: rows,
+    };
+
+    if (!commit || rows.length === 0 || invalidRows.length > 0) {
+      const status = commit ? 400 : 200;
+      return res.status(status).json({
+        message:
+          rows.length === 0
+            ? "No students found in the roster"
+            : invalidRows.length > 0
+            ? "Roster has errors, fix them before importing"
+            : "Roster preview generated, submit again with commit=true to import",
+        ...(duplicateError && {
+          duplicates: duplicateError.duplicates,
+          type: duplicateError.type,
+        }),
+        dryRun: true,
+        data: preview,
+      });
     }
 
-    // Step 3: Push students into class
-    newClass.students.push(...studentIds);
-    await newClass.save();
+    const teacher = await Teacher.findById(req.user.id);
+    if (!teacher) {
+      return res.status(404).json({ message: "Teacher not found" });
+    }
 
-    // Step 4: Push class into teacher
-    teacher.classes.push(newClass._id);
-    await teacher.save();
+    const { newClass, studentIds } = await createClassWithStudents(
+      title,
+      teacher,
+      students
+    );
 
     res.status(201).json({
-      message: "Class and students created successfully",
+      message: "Class and students imported successfully",
+      dryRun: false,
       data: {
         id: newClass._id,
         title: newClass.title,
-        teacher: teacher.full_name,
+        teacher: teacher.name,
         students: studentIds,
       },
     });
   } catch (error) {
-    console.error("Error creating class and students:", error);
+    console.error("Error importing roster:", error);
 
-    // Special handling for MongoDB duplicate key errors
     if (error.code === 11000) {
       if (error.keyPattern?.rollNo && error.keyPattern?.classes) {
-        // This is a duplicate roll number within the same class
         return res.status(409).json({
           message: "Duplicate roll number within this class",
           duplicates: [error.keyValue.rollNo],
@@ -168,19 +358,29 @@ exports.createClass = async (req, res) => {
 };
 
 /**
- * Get all classes for a teacher
+ * Get all classes for a teacher, excluding archived and deleted classes by default
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.getTeacherClasses = async (req, res) => {
   try {
-    const { teacher } = req.query;
+    const { teacher, includeArchived, deleted } = req.query;
 
     if (!teacher) {
       return res.status(400).json({ message: "Teacher ID is required" });
     }
 
-    const classes = await Class.find({ teacher })
+    // Deleted classes are only listed on request, for recovery;
+    // archived classes are hidden unless includeArchived=true
+    const filter = { teacher };
+    if (deleted === "true") {
+      filter.deletedAt = { $ne: null };
+    } else {
+      filter.deletedAt = null;
+      if (includeArchived !== "true") filter.archived = { $ne: true };
+    }
+
+    const classes = await Class.find(filter)
       .populate("teacher", "full_name")
       .populate("students", "full_name");
 
@@ -211,13 +411,14 @@ exports.getClassStudents = async (req, res) => {
       return res.status(400).json({ message: "classId is required in query" });
     }
 
-    const classWithStudents = await Class.findById(classId)
-      .populate("students", "full_name mobileNo rollNo")
-      .select("title students");
-
-    if (!classWithStudents) {
-      return res.status(404).json({ message: "Class not found" });
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res.status(lookup.status).json({ message: lookup.message });
     }
+    const classWithStudents = await lookup.classData.populate(
+      "students",
+      "full_name mobileNo rollNo"
+    );
 
     if (
       !classWithStudents.students ||
@@ -255,14 +456,14 @@ exports.getClassAssignments = async (req, res) => {
       });
     }
 
-    // Check if class exists
-    const classData = await Class.findById(classId);
-    if (!classData) {
-      return res.status(404).json({
-        success: false,
-        message: "Class not found",
-      });
+    // Check the class exists, is not deleted and belongs to this teacher
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.message });
     }
+    const { classData } = lookup;
 
     // Fetch assignments with populated questions
     const assignments = await Assignment.find({
@@ -283,3 +484,406 @@ exports.getClassAssignments = async (req, res) => {
     });
   }
 };
+
+/**
+ * Add students to an existing class.
+ * New students get pending entries for the class's existing assignments.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addStudents = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { students } = req.body;
+
+    if (!Array.isArray(students) || students.length === 0) {
+      return res.status(400).json({ message: "Students are required" });
+    }
+    if (students.some((s) => !s.full_name || !s.mobileNo)) {
+      return res
+        .status(400)
+        .json({ message: "Each student must have full_name and mobileNo" });
+    }
+
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+    const { classData } = lookup;
+
+    // Same duplicate rules as createClass, within the request...
+    const duplicateError = findRosterDuplicates(students);
+    if (duplicateError) {
+      return res.status(400).json(duplicateError);
+    }
+
+    // ...and against the students already in the class
+    const currentStudents = await Student.find({ classes: classData._id });
+    const currentMobiles = currentStudents.map((s) => s.mobileNo);
+    const alreadyEnrolled = students
+      .map((s) => s.mobileNo)
+      .filter((mobileNo) => currentMobiles.includes(mobileNo));
+    if (alreadyEnrolled.length > 0) {
+      return res.status(409).json({
+        message: "Students with these mobile numbers are already in this class",
+        duplicates: alreadyEnrolled,
+      });
+    }
+    const currentRollNos = currentStudents.map((s) => s.rollNo).filter(Boolean);
+    const takenRollNos = students
+      .map((s) => s.rollNo?.trim())
+      .filter((rollNo) => rollNo && currentRollNos.includes(rollNo));
+    if (takenRollNos.length > 0) {
+      return res.status(409).json({
+        message: "Duplicate roll number within this class",
+        duplicates: takenRollNos,
+        type: "rollNo",
+      });
+    }
+
+    // Reuse existing students by mobile number, otherwise create them
+    const existingStudents = await Student.find({
+      mobileNo: { $in: students.map((s) => s.mobileNo) },
+    });
+    const mobileToStudentMap = {};
+    existingStudents.forEach((student) => {
+      mobileToStudentMap[student.mobileNo] = student;
+    });
+
+    const studentIds = [];
+    for (const { full_name, mobileNo, rollNo } of students) {
+      const student =
+        mobileToStudentMap[mobileNo] ||
+        new Student({
+          full_name,
+          mobileNo,
+          rollNo: rollNo ? rollNo.trim() : "",
+          classes: [],
+        });
+
+      student.classes.push(classData._id);
+      addPendingAssignments(student, classData.assignments);
+      await student.save();
+
+      studentIds.push(student._id);
+    }
+
+    classData.students.push(...studentIds);
+    await classData.save();
+
+    res.status(201).json({
+      message: "Students added successfully",
+      data: {
+        id: classData._id,
+        students: studentIds,
+        assignmentsAssigned: classData.assignments.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error adding students:", error);
+
+    if (error.code === 11000) {
+      if (error.keyPattern?.rollNo && error.keyPattern?.classes) {
+        return res.status(409).json({
+          message: "Duplicate roll number within this class",
+          duplicates: [error.keyValue.rollNo],
+          type: "rollNo",
+        });
+      }
+    }
+
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a student's name, mobile number or roll number
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateStudent = async (req, res) => {
+  try {
+    const { classId, studentId } = req.params;
+    const { full_name, mobileNo, rollNo } = req.body;
+
+    if (full_name !== undefined && !String(full_name).trim()) {
+      return res.status(400).json({ message: "Name cannot be empty" });
+    }
+    if (mobileNo !== undefined && !String(mobileNo).trim()) {
+      return res.status(400).json({ message: "Mobile number cannot be empty" });
+    }
+
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+    const { classData } = lookup;
+
+    const student = await Student.findOne({
+      _id: studentId,
+      classes: classData._id,
+    });
+    if (!student) {
+      return res
+        .status(404)
+        .json({ message: "Student not found in this class" });
+    }
+
+    // Mobile numbers identify students across classes
+    if (mobileNo !== undefined && mobileNo !== student.mobileNo) {
+      const mobileOwner = await Student.findOne({
+        mobileNo,
+        _id: { $ne: student._id },
+      });
+      if (mobileOwner) {
+        return res.status(409).json({
+          message: "Another student already has this mobile number",
+          duplicates: [mobileNo],
+        });
+      }
+      student.mobileNo = String(mobileNo).trim();
+    }
+
+    // Roll numbers must be unique within each of the student's classes
+    const trimmedRollNo =
+      rollNo === undefined || rollNo === null
+        ? undefined
+        : String(rollNo).trim();
+    if (trimmedRollNo !== undefined && trimmedRollNo !== student.rollNo) {
+      if (trimmedRollNo) {
+        const rollNoOwner = await Student.findOne({
+          rollNo: trimmedRollNo,
+          classes: { $in: student.classes },
+          _id: { $ne: student._id },
+        });
+        if (rollNoOwner) {
+          return res.status(409).json({
+            message: "Duplicate roll number within this class",
+            duplicates: [trimmedRollNo],
+            type: "rollNo",
+          });
+        }
+      }
+      student.rollNo = trimmedRollNo;
+    }
+
+    if (full_name !== undefined) student.full_name = String(full_name).trim();
+    await student.save();
+
+    res.status(200).json({
+      message: "Student updated successfully",
+      data: {
+        id: student._id,
+        full_name: student.full_name,
+        mobileNo: student.mobileNo,
+        rollNo: student.rollNo,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating student:", error);
+
+    if (error.code === 11000) {
+      if (error.keyPattern?.rollNo && error.keyPattern?.classes) {
+        return res.status(409).json({
+          message: "Duplicate roll number within this class",
+          duplicates: [error.keyValue.rollNo],
+          type: "rollNo",
+        });
+      }
+    }
+
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a student from a class.
+ * The student record, other class memberships and submitted work are kept,
+ * so re-adding the student restores their results.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeStudent = async (req, res) => {
+  try {
+    const { classId, studentId } = req.params;
+
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+    const { classData } = lookup;
+
+    const student = await Student.findOne({
+      _id: studentId,
+      classes: classData._id,
+    });
+    if (!student) {
+      return res
+        .status(404)
+        .json({ message: "Student not found in this class" });
+    }
+
+    classData.students.pull(student._id);
+    await classData.save();
+
+    student.classes.pull(classData._id);
+    await student.save();
+
+    res.status(200).json({
+      message: "Student removed from class successfully",
+      data: { id: classData._id, studentId: student._id },
+    });
+  } catch (error) {
+    console.error("Error removing student:", error);
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Rename a class or archive/unarchive it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateClass = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { title, archived } = req.body;
+
+    if (title === undefined && archived === undefined) {
+      return res
+        .status(400)
+        .json({ message: "Provide a title or archived flag to update" });
+    }
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ message: "Title cannot be empty" });
+    }
+
+    const lookup = await findOwnedClass(classId, req.user.id);
+    if (lookup.message) {
+      return res.status(lookup.status).json({ message: lookup.message });
+    }
+    const { classData } = lookup;
+
+    if (title !== undefined) classData.title = String(title).trim();
+    if (archived !== undefined && !!archived !== classData.archived) {
+      classData.archived = !!archived;
+      classData.archivedAt = classData.archived ? new Date() : undefined;
+    }
+    await classData.save();
+
+    res.status(200).json({
+      message: "Class updated successfully",
+      data: {
+        id: classData._id,
+        title: classData.title,
+        archived: classData.archived,
+        archivedAt: classData.archivedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating class:", error);
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a class. It can be restored until the recovery window passes,
+ * after which it is purged along with its assignments and questions.
+ * Pass ?permanent=true to purge immediately.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteClass = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const permanent = req.query.permanent === "true";
+
+    // Already-deleted classes may still be purged permanently
+    const classData = await Class.findById(classId);
+    const teacher = await Teacher.findById(req.user.id);
+    if (!classData) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+    if (!teacher || !teacher.classes.includes(classData._id.toString())) {
+      return res
+        .status(403)
+        .json({ message: "You don't have permission to manage this class" });
+    }
+
+    if (permanent) {
+      await classCleanup.purgeClass(classData);
+      return res.status(200).json({
+        message: "Class permanently deleted",
+        data: { id: classData._id },
+      });
+    }
+
+    if (!classData.deletedAt) {
+      classData.deletedAt = new Date();
+      await classData.save();
+    }
+
+    res.status(200).json({
+      message: "Class deleted, it can be restored until it is purged",
+      data: {
+        id: classData._id,
+        deletedAt: classData.deletedAt,
+        purgeAt: classCleanup.purgeDate(classData),
+      },
+    });
+  } catch (error) {
+    console.error("Error deleting class:", error);
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a deleted class before it is purged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.restoreClass = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classData = await Class.findById(classId);
+    const teacher = await Teacher.findById(req.user.id);
+    if (!classData || !classData.deletedAt) {
+      return res.status(404).json({ message: "Deleted class not found" });
+    }
+    if (!teacher || !teacher.classes.includes(classData._id.toString())) {
+      return res
+        .status(403)
+        .json({ message: "You don't have permission to manage this class" });
+    }
+
+    classData.deletedAt = null;
+    await classData.save();
+
+    res.status(200).json({
+      message: "Class restored successfully",
+      data: { id: classData._id, title: classData.title },
+    });
+  } catch (error) {
+    console.error("Error restoring class:", error);
+    res.status(500).json({
+      message: "Internal Server Error",
+      error: error.message,
+    });
+  }
+};
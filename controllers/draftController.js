@@ -3,6 +3,7 @@
  * Handles operations for teacher assignment drafts
  */
 const Teacher = require("../models/teacherModel");
+const { normalizeRubric } = require("../utils/rubricUtils");
 
 /**
  * Get all drafts for a teacher
@@ -76,7 +77,7 @@ exports.createOrUpdateDraft = async (req, res) => {
       questions: questions.map((q) => ({
         text: q.text,
         points: q.points || 0,
-        rubric: q.rubric || "",
+        rubric: normalizeRubric(q.rubric, q.points || 0),
       })),
       lastUpdated: new Date(),
       classId: classId || null,
@@ -0,0 +1,177 @@
+/**
+ * Gradebook Controller
+ * Handles exporting student marks as .xlsx and .csv gradebooks
+ */
+const Assignment = require("../models/assignmentModel");
+const Class = require("../models/classModel");
+const Teacher = require("../models/teacherModel");
+const Student = require("../models/studentModel");
+const {
+  buildAssignmentRows,
+  buildSummaryRows,
+  toXlsx,
+  toCsv,
+} = require("../utils/gradebookUtils");
+
+const XLSX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * Check that a class belongs to the teacher
+ * @param {Object} classData - Class document
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Boolean>}
+ */
+const ownsClass = async (classData, teacherId) => {
+  const teacher = await Teacher.findById(teacherId);
+  return Boolean(teacher && teacher.classes.includes(classData._id.toString()));
+};
+
+/**
+ * Send a gradebook file in the requested format
+ * @param {Object} res - Express response object
+ * @param {String} format - "xlsx" or "csv"
+ * @param {String} name - File name without extension
+ * @param {Array<{name:string, rows:Array<Array>}>} sheets - Sheets; CSV uses the first
+ */
+const sendGradebook = (res, format, name, sheets) => {
+  const fileName = `${name.replace(/[^\w\- ]+/g, "").trim() || "gradebook"}`;
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.csv"`
+    );
+    return res.status(200).send(toCsv(sheets[0].rows));
+  }
+
+  res.setHeader("Content-Type", XLSX_CONTENT_TYPE);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.xlsx"`
+  );
+  return res.status(200).send(toXlsx(sheets));
+};
+
+/**
+ * Validate the ?format= query parameter
+ * @param {Object} req - Express request object
+ * @returns {String|null} "xlsx", "csv", or null if unsupported
+ */
+const getFormat = (req) => {
+  const format = (req.query.format || "xlsx").toLowerCase();
+  return ["xlsx", "csv"].includes(format) ? format : null;
+};
+
+/**
+ * Export a class gradebook: a summary sheet plus one sheet per assignment.
+ * CSV exports contain the summary only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportClassGradebook = async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const format = getFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be xlsx or csv",
+      });
+    }
+
+    const classData = await Class.findById(classId);
+    if (!classData || classData.deletedAt) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Class not found" });
+    }
+    if (!(await ownsClass(classData, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to export this class",
+      });
+    }
+
+    const assignments = await Assignment.find({
+      _id: { $in: classData.assignments },
+    }).populate("questions", "maxMarks");
+    const students = await Student.find({ classes: classData._id })
+      .select("full_name rollNo assignments")
+      .sort({ rollNo: 1, full_name: 1 });
+
+    const sheets = [
+      { name: "Summary", rows: buildSummaryRows(assignments, students) },
+      ...assignments.map((assignment) => ({
+        name: assignment.title,
+        rows: buildAssignmentRows(assignment, students),
+      })),
+    ];
+
+    return sendGradebook(res, format, `${classData.title} gradebook`, sheets);
+  } catch (err) {
+    console.error("Error exporting class gradebook:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Export the gradebook for a single assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportAssignmentGradebook = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const format = getFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be xlsx or csv",
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId).populate(
+      "questions",
+      "maxMarks"
+    );
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found" });
+    }
+
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      deletedAt: null,
+    });
+    if (!classData || !(await ownsClass(classData, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to export this assignment",
+      });
+    }
+
+    const students = await Student.find({ classes: classData._id })
+      .select("full_name rollNo assignments")
+      .sort({ rollNo: 1, full_name: 1 });
+
+    return sendGradebook(res, format, `${assignment.title} marks`, [
+      {
+        name: assignment.title,
+        rows: buildAssignmentRows(assignment, students),
+      },
+    ]);
+  } catch (err) {
+    console.error("Error exporting assignment gradebook:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
@@ -1,21 +1,55 @@
 /**
  * Grading Controller
- * Handles PDF submissions: converts each page to image, uploads to Cloudinary, updates student assignment.
+ * Handles PDF submissions: queues them for processing, converts each page to image,
+ * uploads to the configured storage backend and updates the student assignment.
  */
 
-const cloudinary = require("cloudinary").v2;
+const mongoose = require("mongoose");
+const path = require("path");
+const AdmZip = require("adm-zip");
 const Student = require("../models/studentModel");
 const axios = require("axios");
 const Assignment = require("../models/assignmentModel");
+const Class = require("../models/classModel");
+const GradingJob = require("../models/gradingJobModel");
+const gradingQueue = require("../services/gradingQueue");
+const storage = require("../services/storage");
+const gradingEngine = require("../services/grading");
+const config = require("../config/env");
 const { URL } = require("url");
+const {
+  findQuestionForResponse,
+  submissionWindowError,
+  getLatePenalty,
+  flagForReview,
+} = require("../utils/gradingUtils");
+const { autoGradeMcqResponses } = require("../utils/mcqUtils");
+const {
+  getPdfPageCount,
+  splitPdf,
+  rasterizePdf,
+} = require("../utils/pdfUtils");
 
-// Configure Cloudinary using environment variables
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Question fields needed to attach max marks and score answers
+const QUESTION_FIELDS =
+  "text maxMarks questionType rubric options correctOptions partialCredit negativeMarks";
 
+// Limits on what a bulk upload ZIP may expand to
+const ZIP_MAX_ENTRIES = 500;
+const ZIP_MAX_ENTRY_BYTES = config.MAX_UPLOAD_MB * 1024 * 1024;
+const ZIP_MAX_TOTAL_BYTES = 10 * ZIP_MAX_ENTRY_BYTES;
+
+// Retry settings for the FastAPI cropping call
+const parsedMaxRetries = parseInt(process.env.FAST_API_MAX_RETRIES, 10);
+const FAST_API_MAX_RETRIES = isNaN(parsedMaxRetries) ? 3 : parsedMaxRetries;
+const FAST_API_RETRY_DELAY_MS =
+  parseInt(process.env.FAST_API_RETRY_DELAY_MS, 10) || 2000;
+
+/**
+ * Queue a PDF submission for processing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 exports.uploadSubmission = async (req, res) => {
   const { studentId, assignmentId } = req.body;
   if (!req.file) {
@@ -23,70 +57,848 @@ exports.uploadSubmission = async (req, res) => {
       .status(400)
       .json({ success: false, message: "No file uploaded" });
   }
+  if (
+    !mongoose.Types.ObjectId.isValid(studentId) ||
+    !mongoose.Types.ObjectId.isValid(assignmentId)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Valid studentId and assignmentId are required",
+    });
+  }
 
   try {
-    const urls = await handlePdfUpload(
-      req.file.buffer,
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    if (
+      !(await isStudentInTeacherClass(assignmentId, studentId, req.user.id))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Student is not in one of your classes with this assignment",
+      });
+    }
+
+    const outcome = await queueSubmission(
       studentId,
-      assignmentId
+      assignmentId,
+      req.file.buffer,
+      req.file.originalname
     );
-    return res
-      .status(200)
-      .json({ success: true, message: "Submission processed", urls });
+    if (outcome.error) {
+      return res
+        .status(outcome.status)
+        .json({ success: false, message: outcome.error });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: "Submission queued for processing",
+      jobId: outcome.jobId,
+    });
   } catch (error) {
     console.error("uploadSubmission error:", error);
     return res.status(500).json({ success: false, message: error.message });
   }
 };
 
-async function handlePdfUpload(buffer, studentId, assignmentId) {
+/**
+ * Record typed MCQ answers for a student and score them from the answer key.
+ * `answers` is [{ questionId, selected: ["A"] }]; answers replace any earlier
+ * response to the same question. The entry is marked graded once every
+ * question in the assignment has been scored, ready to be published.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.submitMcqAnswers = async (req, res) => {
+  const { studentId, assignmentId, answers } = req.body;
+  if (
+    !mongoose.Types.ObjectId.isValid(studentId) ||
+    !mongoose.Types.ObjectId.isValid(assignmentId)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Valid studentId and assignmentId are required",
+    });
+  }
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "answers must be a non-empty array",
+    });
+  }
+  if (
+    !answers.every(
+      (answer) => answer && typeof answer === "object" && !Array.isArray(answer)
+    )
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Each answer must be an object with questionId and selected",
+    });
+  }
+
   try {
-    // Upload PDF as an image resource to capture page count
-    const pdfDataUri = `data:application/pdf;base64,${buffer.toString(
-      "base64"
-    )}`;
-    const uploadResult = await cloudinary.uploader.upload(pdfDataUri, {
-      resource_type: "image",
-    });
-
-    // Generate URLs for each page
-    const urls = [];
-    for (let i = 1; i <= uploadResult.pages; i++) {
-      const url = cloudinary.url(uploadResult.public_id, {
-        resource_type: "image",
-        format: "png",
-        page: i,
-        sign_url: true,
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const assignment = await lookup.assignment.populate(
+      "questions",
+      QUESTION_FIELDS
+    );
+    if (
+      !(await isStudentInTeacherClass(assignmentId, studentId, req.user.id))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Student is not in one of your classes with this assignment",
       });
-      urls.push(url);
     }
-
-    // Phase 1: find student and mark submission date
     const student = await Student.findById(studentId);
-    if (!student) throw new Error(`Student not found: ${studentId}`);
+    if (!student) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Student not found" });
+    }
     const assignmentEntry = student.assignments.find(
       (entry) => entry.assignment.toString() === assignmentId
     );
-    if (!assignmentEntry)
-      throw new Error(
-        `Assignment entry not found for assignment ${assignmentId}`
+    if (!assignmentEntry) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not assigned to this student",
+      });
+    }
+
+    const questions = assignment.questions;
+    const typedResponses = [];
+    for (const answer of answers) {
+      const question = findQuestionForResponse(
+        questions,
+        answer.questionId || ""
       );
-    // Update submission date
-    assignmentEntry.submissionDate = new Date();
+      if (!question || question.questionType !== "mcq") {
+        return res.status(400).json({
+          success: false,
+          message: `Not an MCQ question in this assignment: ${answer.questionId}`,
+        });
+      }
+      const selected = Array.isArray(answer.selected)
+        ? answer.selected
+        : [answer.selected].filter(Boolean);
+      if (selected.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No options selected for question ${answer.questionId}`,
+        });
+      }
+      typedResponses.push({
+        question_id: question._id.toString(),
+        selected_options: selected,
+      });
+    }
+
+    const windowError = stampSubmission(assignment, assignmentEntry);
+    if (windowError) {
+      return res.status(403).json({ success: false, message: windowError });
+    }
+    assignmentEntry.published = false;
+    assignmentEntry.publishedAt = undefined;
+
+    autoGradeMcqResponses(questions, typedResponses);
+
+    // Replace earlier responses to the same questions
+    const answeredIds = typedResponses.map((r) => r.question_id);
+    const kept = assignmentEntry.responses.filter((r) => {
+      const question = findQuestionForResponse(questions, r.question_id);
+      return !question || !answeredIds.includes(question._id.toString());
+    });
+    assignmentEntry.responses = [...kept, ...typedResponses];
+
+    const allScored = questions.every((question) =>
+      assignmentEntry.responses.some((r) => {
+        const match = findQuestionForResponse(questions, r.question_id);
+        return (
+          match &&
+          match._id.toString() === question._id.toString() &&
+          r.marks_awarded !== null
+        );
+      })
+    );
+    if (allScored) {
+      assignmentEntry.status = "graded";
+      assignmentEntry.failureReason = "";
+    }
     await student.save();
 
-    // Phase 2: request cropped answer uploads from FastAPI
-    const fastApiUrl = process.env.FAST_API_URL;
-    if (!fastApiUrl) {
-      throw new Error("FAST_API_URL is not defined");
+    return res.status(200).json({
+      success: true,
+      message: "MCQ answers recorded",
+      data: {
+        status: assignmentEntry.status,
+        isLate: assignmentEntry.isLate,
+        totalScore: assignmentEntry.totalScore,
+        maxScore: assignmentEntry.maxScore,
+        responses: typedResponses.map((r) => ({
+          questionId: r.question_id,
+          selected: r.selected_options,
+          marksAwarded: r.marks_awarded,
+          maxMarks: r.max_marks,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("submitMcqAnswers error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Queue a whole class's answer sheets from one scanned PDF or a ZIP of PDFs.
+ * A PDF is split with either `split` ([{ studentId, startPage, endPage }]) or
+ * `studentIds` plus `pagesPerStudent`. ZIP entries are matched to students with
+ * `mapping` ({ fileName: studentId }), falling back to file names that match a roll number.
+ * Only the first part for each student is queued.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.bulkUploadSubmissions = async (req, res) => {
+  const { assignmentId } = req.body;
+  if (!req.file) {
+    return res
+      .status(400)
+      .json({ success: false, message: "No file uploaded" });
+  }
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid assignmentId is required",
+    });
+  }
+
+  // Students of every class the teacher has given this assignment to
+  let classStudentIds;
+  try {
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
     }
-    // Use FAST_API_URL directly for cropping with extended timeout
-    console.log(
-      `[handlePdfUpload] Sending ${urls.length} URLs to FastAPI: ${fastApiUrl}`
+    const classes = await Class.find({
+      assignments: assignmentId,
+      teacher: req.user.id,
+      deletedAt: null,
+    }).select("students");
+    classStudentIds = new Set(
+      classes.flatMap((c) => c.students.map((id) => id.toString()))
     );
-    console.log(`[handlePdfUpload] URLs: ${JSON.stringify(urls)}`);
+  } catch (error) {
+    console.error("bulkUploadSubmissions error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
 
-    let data;
+  const isZip =
+    /zip/.test(req.file.mimetype) || /\.zip$/i.test(req.file.originalname);
+
+  let parts;
+  try {
+    parts = isZip
+      ? await splitZipUpload(req.file.buffer, req.body, [...classStudentIds])
+      : await splitPdfUpload(req.file.buffer, req.body);
+  } catch (error) {
+    console.error("bulkUploadSubmissions split error:", error);
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const results = [];
+    const queuedStudentIds = new Set();
+    for (const part of parts) {
+      if (part.error) {
+        results.push({
+          studentId: part.studentId || null,
+          source: part.source,
+          status: "failed",
+          error: part.error,
+        });
+        continue;
+      }
+
+      if (!classStudentIds.has(String(part.studentId))) {
+        results.push({
+          studentId: part.studentId,
+          source: part.source,
+          status: "failed",
+          error: "Student is not in this class",
+        });
+        continue;
+      }
+      if (queuedStudentIds.has(String(part.studentId))) {
+        results.push({
+          studentId: part.studentId,
+          source: part.source,
+          status: "failed",
+          error: "Student appears more than once in this upload",
+        });
+        continue;
+      }
+      queuedStudentIds.add(String(part.studentId));
+
+      const outcome = await queueSubmission(
+        part.studentId,
+        assignmentId,
+        part.buffer,
+        part.source
+      );
+      results.push({
+        studentId: part.studentId,
+        source: part.source,
+        status: outcome.error ? "failed" : "queued",
+        jobId: outcome.jobId || null,
+        error: outcome.error || null,
+      });
+    }
+
+    const queuedCount = results.filter((r) => r.status === "queued").length;
+    return res.status(202).json({
+      success: queuedCount > 0,
+      message: `${queuedCount} of ${results.length} submissions queued for processing`,
+      results,
+    });
+  } catch (error) {
+    console.error("bulkUploadSubmissions error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get the status of a submission processing job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getJobStatus = async (req, res) => {
+  const { jobId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return res.status(400).json({ success: false, message: "Invalid job ID" });
+  }
+
+  try {
+    const job = await GradingJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+    const lookup = await findOwnedAssignment(job.assignment, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        studentId: job.student,
+        assignmentId: job.assignment,
+        status: job.status,
+        attempts: job.attempts,
+        error: job.error || null,
+        urls: job.result,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+      },
+    });
+  } catch (error) {
+    console.error("getJobStatus error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * List failed submissions for an assignment that have not since been re-uploaded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getFailedSubmissions = async (req, res) => {
+  const { assignmentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid assignment ID" });
+  }
+
+  try {
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const failedJobs = await findFailedJobs(assignmentId);
+
+    return res.status(200).json({
+      success: true,
+      data: failedJobs.map((job) => ({
+        jobId: job._id,
+        studentId: job.student._id,
+        studentName: job.student.full_name,
+        rollNo: job.student.rollNo,
+        fileName: job.fileName,
+        attempts: job.attempts,
+        error: job.error,
+        failedAt: job.completedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("getFailedSubmissions error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Re-run a single failed submission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.retryJob = async (req, res) => {
+  const { jobId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return res.status(400).json({ success: false, message: "Invalid job ID" });
+  }
+
+  try {
+    const job = await GradingJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+    const lookup = await findOwnedAssignment(job.assignment, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    if (job.status !== "failed") {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed jobs can be retried (job is ${job.status})`,
+      });
+    }
+
+    await requeueFailedJob(job);
+
+    return res.status(202).json({
+      success: true,
+      message: "Submission queued for processing",
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("retryJob error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Re-run every failed submission for an assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.retryFailedSubmissions = async (req, res) => {
+  const { assignmentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid assignment ID" });
+  }
+
+  try {
+    const lookup = await findOwnedAssignment(assignmentId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const failedJobs = await findFailedJobs(assignmentId);
+    for (const job of failedJobs) {
+      await requeueFailedJob(job);
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: `${failedJobs.length} submissions queued for processing`,
+      jobIds: failedJobs.map((job) => job._id),
+    });
+  } catch (error) {
+    console.error("retryFailedSubmissions error:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Load an assignment and the class it belongs to, checking the class is the teacher's
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Object>} { status, error } on failure, otherwise
+ *   { assignment, classData }
+ */
+async function findOwnedAssignment(assignmentId, teacherId) {
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment) {
+    return { status: 404, error: "Assignment not found" };
+  }
+  const classData = await Class.findOne({
+    assignments: assignmentId,
+    deletedAt: null,
+  });
+  if (!classData || classData.teacher.toString() !== String(teacherId)) {
+    return {
+      status: 403,
+      error: "You don't have permission to manage this assignment",
+    };
+  }
+  return { assignment, classData };
+}
+
+/**
+ * Check that a student is in one of the teacher's classes that has the assignment
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} studentId - Student ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Boolean>}
+ */
+async function isStudentInTeacherClass(assignmentId, studentId, teacherId) {
+  const classData = await Class.exists({
+    assignments: assignmentId,
+    students: studentId,
+    teacher: teacherId,
+    deletedAt: null,
+  });
+  return Boolean(classData);
+}
+
+/**
+ * Find the failed jobs for an assignment, ignoring any that were
+ * superseded by a newer upload for the same student
+ * @param {String} assignmentId - Assignment ID
+ * @returns {Promise<Array>} Failed jobs with their student populated
+ */
+async function findFailedJobs(assignmentId) {
+  const jobs = await GradingJob.find({ assignment: assignmentId })
+    .sort({ createdAt: -1 })
+    .populate("student", "full_name rollNo");
+
+  const seenStudents = new Set();
+  const failedJobs = [];
+  for (const job of jobs) {
+    if (!job.student) continue;
+    const studentKey = job.student._id.toString();
+    if (seenStudents.has(studentKey)) continue;
+    seenStudents.add(studentKey);
+    if (job.status === "failed") failedJobs.push(job);
+  }
+  return failedJobs;
+}
+
+/**
+ * Put a failed job back on the queue and reset its student assignment entry
+ * @param {Object} job - Failed grading job
+ */
+async function requeueFailedJob(job) {
+  const studentId = job.student._id || job.student;
+  await setSubmissionStatus(studentId, job.assignment, "pending");
+  await gradingQueue.retry(job._id);
+}
+
+/**
+ * Record a submission's date on a student's assignment entry, flagging it late
+ * and setting its penalty if it is past the due date
+ * @param {Object} assignment - Assignment document
+ * @param {Object} assignmentEntry - The student's assignment entry
+ * @returns {String|null} Why the submission is refused, or null once recorded
+ */
+function stampSubmission(assignment, assignmentEntry) {
+  const submittedAt = new Date();
+  const windowError = submissionWindowError(assignment, submittedAt);
+  if (windowError) return windowError;
+
+  const { isLate, penaltyPercent } = getLatePenalty(assignment, submittedAt);
+  assignmentEntry.submissionDate = submittedAt;
+  assignmentEntry.isLate = isLate;
+  assignmentEntry.latePenaltyPercent = penaltyPercent;
+  return null;
+}
+
+/**
+ * Validate a student's assignment entry and the submission window, flag late
+ * submissions and queue the PDF for processing
+ * @param {String} studentId - Student ID
+ * @param {String} assignmentId - Assignment ID
+ * @param {Buffer} buffer - PDF bytes
+ * @param {String} fileName - Original file name
+ * @returns {Promise<Object>} { jobId } or { status, error } if it could not be queued
+ */
+async function queueSubmission(studentId, assignmentId, buffer, fileName) {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    return { status: 400, error: `Invalid student ID: ${studentId}` };
+  }
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    return { status: 404, error: `Student not found: ${studentId}` };
+  }
+  const assignmentEntry = student.assignments.find(
+    (entry) => entry.assignment.toString() === assignmentId
+  );
+  if (!assignmentEntry) {
+    return {
+      status: 404,
+      error: `Assignment entry not found for assignment ${assignmentId}`,
+    };
+  }
+
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment) {
+    return { status: 404, error: `Assignment not found: ${assignmentId}` };
+  }
+  const windowError = stampSubmission(assignment, assignmentEntry);
+  if (windowError) {
+    return { status: 403, error: windowError };
+  }
+
+  // Reset the entry until the job picks it up; a new submission has to be
+  // graded and published again before the student sees it
+  assignmentEntry.published = false;
+  assignmentEntry.publishedAt = undefined;
+  assignmentEntry.status = "pending";
+  assignmentEntry.failureReason = "";
+  await student.save();
+
+  const job = await gradingQueue.enqueue({
+    student: studentId,
+    assignment: assignmentId,
+    file: buffer,
+    fileName: fileName || "",
+  });
+  return { jobId: job._id };
+}
+
+/**
+ * Parse a multipart form field that carries JSON
+ * @param {*} value - Raw field value
+ * @param {String} name - Field name, for error messages
+ * @returns {*} The parsed value, or undefined if the field is missing
+ */
+function parseJsonField(value, name) {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
+
+/**
+ * Split one scanned PDF into per-student parts
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} body - Request body with `split` or `studentIds` + `pagesPerStudent`
+ * @returns {Promise<Array>} Parts of { studentId, source, buffer }
+ */
+async function splitPdfUpload(buffer, body) {
+  let ranges = parseJsonField(body.split, "split");
+
+  if (!ranges) {
+    const studentIds = parseJsonField(body.studentIds, "studentIds");
+    const pagesPerStudent = parseInt(body.pagesPerStudent, 10);
+    if (!Array.isArray(studentIds) || !(pagesPerStudent > 0)) {
+      throw new Error(
+        "Provide either split or studentIds with pagesPerStudent to split the PDF"
+      );
+    }
+
+    const pageCount = await getPdfPageCount(buffer);
+    if (pageCount !== studentIds.length * pagesPerStudent) {
+      throw new Error(
+        `PDF has ${pageCount} pages but ${studentIds.length} students × ${pagesPerStudent} pages were expected`
+      );
+    }
+    ranges = studentIds.map((studentId, i) => ({
+      studentId,
+      startPage: i * pagesPerStudent + 1,
+      endPage: (i + 1) * pagesPerStudent,
+    }));
+  }
+
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    throw new Error("split must be a non-empty array");
+  }
+
+  const normalized = ranges.map((r) => ({
+    studentId: r.studentId,
+    startPage: parseInt(r.startPage, 10),
+    endPage: parseInt(r.endPage, 10),
+  }));
+  const buffers = await splitPdf(buffer, normalized);
+
+  return normalized.map((r, i) => ({
+    studentId: r.studentId,
+    source: `pages ${r.startPage}-${r.endPage}`,
+    buffer: buffers[i],
+  }));
+}
+
+/**
+ * Extract per-student PDFs from a ZIP upload
+ * @param {Buffer} buffer - ZIP bytes
+ * @param {Object} body - Request body with an optional `mapping` of file name to student ID
+ * @param {Array<String>} studentIds - Students set the assignment, used to match roll numbers
+ * @returns {Promise<Array>} Parts of { studentId, source, buffer } or { source, error }
+ */
+async function splitZipUpload(buffer, body, studentIds) {
+  const mapping = parseJsonField(body.mapping, "mapping") || {};
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer)
+      .getEntries()
+      .filter(
+        (entry) =>
+          !entry.isDirectory &&
+          !entry.entryName.startsWith("__MACOSX/") &&
+          /\.pdf$/i.test(entry.entryName)
+      );
+  } catch (error) {
+    throw new Error(`Unable to read ZIP file: ${error.message}`);
+  }
+  if (entries.length === 0) {
+    throw new Error("ZIP file does not contain any PDFs");
+  }
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new Error(`ZIP file has more than ${ZIP_MAX_ENTRIES} PDFs`);
+  }
+  // Sizes come from the ZIP headers, so nothing is extracted before checking
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalBytes > ZIP_MAX_TOTAL_BYTES) {
+    throw new Error(
+      `ZIP file expands to more than ${ZIP_MAX_TOTAL_BYTES / 1024 / 1024} MB`
+    );
+  }
+
+  // Students set the assignment, keyed by roll number
+  const students = await Student.find({ _id: { $in: studentIds } }).select(
+    "rollNo"
+  );
+  const rollNoToStudent = {};
+  students.forEach((student) => {
+    if (student.rollNo) rollNoToStudent[student.rollNo.toLowerCase()] = student;
+  });
+
+  return entries.map((entry) => {
+    const fileName = path.basename(entry.entryName);
+    const baseName = path.basename(fileName, path.extname(fileName));
+    const mappedId =
+      mapping[entry.entryName] || mapping[fileName] || mapping[baseName];
+    const byRollNo = rollNoToStudent[baseName.toLowerCase()];
+    const studentId = mappedId || (byRollNo && byRollNo._id.toString());
+
+    if (!studentId) {
+      return {
+        source: entry.entryName,
+        error: "No student mapped to this file",
+      };
+    }
+    if (entry.header.size > ZIP_MAX_ENTRY_BYTES) {
+      return {
+        studentId,
+        source: entry.entryName,
+        error: `File is larger than ${config.MAX_UPLOAD_MB} MB`,
+      };
+    }
+    return { studentId, source: entry.entryName, buffer: entry.getData() };
+  });
+}
+
+/**
+ * Update the status of a student's assignment entry
+ * @param {String} studentId - Student ID
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} status - New status
+ * @param {String} [failureReason] - Why processing failed, cleared otherwise
+ */
+async function setSubmissionStatus(
+  studentId,
+  assignmentId,
+  status,
+  failureReason = ""
+) {
+  await Student.updateOne(
+    { _id: studentId, "assignments.assignment": assignmentId },
+    {
+      $set: {
+        "assignments.$.status": status,
+        "assignments.$.failureReason": failureReason,
+      },
+    }
+  );
+}
+
+/**
+ * Queue processor: runs the PDF pipeline for one job and
+ * moves the student assignment through processing → graded/failed
+ * @param {Object} job - Claimed grading job
+ * @param {Buffer} file - The job's PDF bytes
+ * @returns {Promise<Array>} The stored responses
+ */
+async function processSubmissionJob(job, file) {
+  const studentId = job.student.toString();
+  const assignmentId = job.assignment.toString();
+
+  await setSubmissionStatus(studentId, assignmentId, "processing");
+  try {
+    return await handlePdfUpload(file, studentId, assignmentId);
+  } catch (error) {
+    await setSubmissionStatus(studentId, assignmentId, "failed", error.message);
+    throw error;
+  }
+}
+
+gradingQueue.registerProcessor(processSubmissionJob, (job, error) =>
+  setSubmissionStatus(job.student, job.assignment, "failed", error)
+);
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {Number} ms - Delay in milliseconds
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed FastAPI request is worth retrying:
+ * timeouts, connection errors and 5xx responses are, 4xx responses are not
+ * @param {Error} error - Axios error
+ * @returns {Boolean}
+ */
+function isRetryableError(error) {
+  if (error.response) return error.response.status >= 500;
+  return Boolean(error.request) || error.code === "ECONNABORTED";
+}
+
+/**
+ * Send page URLs to the FastAPI cropper, retrying with exponential backoff
+ * @param {String} fastApiUrl - Cropping service URL
+ * @param {Array<String>} urls - Page image URLs
+ * @returns {Promise<Object>} The service response body
+ */
+async function requestCroppedUploads(fastApiUrl, urls) {
+  for (let attempt = 0; ; attempt++) {
     try {
       const response = await axios.post(
         fastApiUrl,
@@ -98,19 +910,35 @@ async function handlePdfUpload(buffer, studentId, assignmentId) {
           },
         }
       );
-      data = response.data;
       console.log(
-        `[handlePdfUpload] FastAPI response successful: ${JSON.stringify(data)}`
+        `[handlePdfUpload] FastAPI response successful: ${JSON.stringify(
+          response.data
+        )}`
       );
+      return response.data;
     } catch (error) {
       console.error(`[handlePdfUpload] FastAPI request failed:`, error.message);
+
+      if (isRetryableError(error) && attempt < FAST_API_MAX_RETRIES) {
+        const delay = FAST_API_RETRY_DELAY_MS * 2 ** attempt;
+        console.log(
+          `[handlePdfUpload] Retrying FastAPI request in ${delay}ms (retry ${
+            attempt + 1
+          } of ${FAST_API_MAX_RETRIES})`
+        );
+        await sleep(delay);
+        continue;
+      }
+
       if (error.code === "ECONNABORTED") {
         throw new Error(
           "FastAPI request timed out - processing is taking longer than expected"
         );
       } else if (error.response) {
         throw new Error(
-          `FastAPI returned error ${error.response.status}: ${error.response.data}`
+          `FastAPI returned error ${error.response.status}: ${JSON.stringify(
+            error.response.data
+          )}`
         );
       } else if (error.request) {
         // Network error - service might be down or starting up
@@ -121,30 +949,221 @@ async function handlePdfUpload(buffer, studentId, assignmentId) {
         throw new Error(`FastAPI request error: ${error.message}`);
       }
     }
+  }
+}
+
+/**
+ * Crop answers on this server with the OpenCV margin cropper
+ * and store each crop, mirroring the FastAPI response
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Number} questionCount - Number of questions in the assignment
+ * @returns {Promise<Object>} { uploads: [{ question_id, image_url }], misnumbered }
+ *   where misnumbered is set when the answers found do not match the questions
+ */
+async function cropAnswersLocally(buffer, questionCount) {
+  // Loaded on demand so opencv4nodejs is only needed for local cropping
+  let cropAnswers;
+  try {
+    ({ cropAnswers } = require("../modules/localCropper"));
+  } catch (error) {
+    throw new Error(
+      `Local cropping is unavailable (${error.message}) - set FAST_API_URL or install opencv4nodejs`
+    );
+  }
+
+  const pages = await rasterizePdf(buffer);
+  const answers = cropAnswers(pages, questionCount);
+  if (answers.length === 0) {
+    throw new Error("No answers could be found in the submission");
+  }
+
+  const uploads = [];
+  for (const answer of answers) {
+    uploads.push({
+      question_id: String(answer.questionNumber),
+      image_url: await storage.uploadImage(answer.buffer),
+    });
+  }
+  const misnumbered = answers.some((answer) => answer.misnumbered);
+  if (misnumbered) {
+    console.warn(
+      `[cropAnswersLocally] Found ${answers.length} answers for ${questionCount} questions; flagging them for review`
+    );
+  }
+  return { uploads, misnumbered };
+}
+
+/**
+ * Read answers from bubble-sheet pages with the OMR module.
+ * Pages are read in order, each continuing the question numbering of the last.
+ * Answers on a page that could not be read are marked unreadable.
+ * @param {Buffer} buffer - Submission PDF
+ * @param {String[]} urls - Stored image URL of each page
+ * @param {Array<Object>} questions - Assignment questions, in order
+ * @returns {Promise<Object>} { uploads } with the selected options, read
+ *   confidence and unreadable flag of each answer, pointing at the page it
+ *   was read from
+ */
+async function readBubbleSheetsLocally(buffer, urls, questions) {
+  // Loaded on demand so opencv4nodejs is only needed for local reading
+  let readBubbleSheet;
+  try {
+    readBubbleSheet = require("../modules/bubbleSheetReader");
+  } catch (error) {
+    throw new Error(
+      `Bubble sheet reading is unavailable (${error.message}) - install opencv4nodejs`
+    );
+  }
+  const { DEFAULT_LAYOUT } = readBubbleSheet;
+
+  // Print as many bubbles per row as the question with the most options
+  const optionCount = Math.max(
+    DEFAULT_LAYOUT.options.length,
+    ...questions.map((q) => (q.options ? q.options.length : 0))
+  );
+  const options = Array.from({ length: optionCount }, (_, i) =>
+    String.fromCharCode(65 + i)
+  );
+  const perPage = DEFAULT_LAYOUT.columns * DEFAULT_LAYOUT.rowsPerColumn;
+
+  const pages = await rasterizePdf(buffer);
+  const uploads = [];
+  for (let i = 0; i < pages.length && uploads.length < questions.length; i++) {
+    const sheet = readBubbleSheet(pages[i], {
+      options,
+      questionCount: Math.min(perPage, questions.length - uploads.length),
+    });
+    if (sheet.unreadable) {
+      console.warn(
+        `[readBubbleSheetsLocally] Page ${i + 1} could not be read: ${
+          sheet.reason
+        }`
+      );
+    }
+    sheet.answers.forEach((answer) => {
+      uploads.push({
+        question_id: String(i * perPage + answer.questionNumber),
+        image_url: urls[i],
+        selected_options: answer.selected,
+        confidence: answer.confidence,
+        unreadable: answer.unreadable,
+      });
+    });
+  }
+  if (uploads.every((u) => u.unreadable)) {
+    throw new Error("No answers could be read from the bubble sheet");
+  }
+  return { uploads };
+}
+
+async function handlePdfUpload(buffer, studentId, assignmentId) {
+  try {
+    // Phase 1: store the PDF and get an image URL for each page
+    const urls = await storage.uploadPdfPages(buffer);
+    console.log(
+      `[handlePdfUpload] Stored ${urls.length} pages using ${storage.name} storage`
+    );
+
+    const assignment = await Assignment.findById(assignmentId).populate(
+      "questions",
+      QUESTION_FIELDS
+    );
+    const questions = assignment ? assignment.questions : [];
+    const isBubbleSheet = Boolean(
+      assignment && assignment.answerSheet === "bubble"
+    );
+
+    // Phase 2: read bubble sheets, or crop answers with FastAPI, or locally
+    // when it is not configured
+    const fastApiUrl = process.env.FAST_API_URL;
+    let data;
+    if (isBubbleSheet) {
+      console.log("[handlePdfUpload] Reading bubble sheet answers");
+      data = await readBubbleSheetsLocally(buffer, urls, questions);
+    } else if (fastApiUrl) {
+      // Use FAST_API_URL directly for cropping with extended timeout
+      console.log(
+        `[handlePdfUpload] Sending ${urls.length} URLs to FastAPI: ${fastApiUrl}`
+      );
+      console.log(`[handlePdfUpload] URLs: ${JSON.stringify(urls)}`);
+      data = await requestCroppedUploads(fastApiUrl, urls);
+    } else {
+      console.log("[handlePdfUpload] FAST_API_URL not set, cropping locally");
+      data = await cropAnswersLocally(buffer, questions.length);
+    }
     // Expect data.uploads to be an array of { question_id, image_url }
     const uploads = data.uploads;
+    // Bubble-sheet answers on a page that could not be read
+    const unreadableIds = new Set(
+      uploads.filter((u) => u.unreadable).map((u) => u.question_id)
+    );
     // Build final responses matching new schema
     const finalResponses = uploads.map((u) => ({
       question_id: u.question_id,
       image_url: u.image_url,
+      selected_options: u.selected_options || [],
+      confidence: u.confidence !== undefined ? u.confidence : null,
     }));
     // Note: we defer saving until full grading to satisfy schema requirements
 
-    // Skip grading - we're not storing grading data anymore
-    // Just use the question_id and image_url from finalResponses
+    // Attach each response's max marks so totals can be rolled up once scored
     const combinedResponses = finalResponses.map((resp) => {
+      const question = findQuestionForResponse(questions, resp.question_id);
       return {
-        question_id: resp.question_id,
-        image_url: resp.image_url,
+        ...resp,
+        max_marks: question ? question.maxMarks : 0,
       };
     });
+    // Detected MCQ bubbles are scored straight from the answer key; on a
+    // bubble sheet an empty row is a confident blank, so it scores too.
+    // Unreadable answers are left unscored for the teacher to mark.
+    autoGradeMcqResponses(
+      questions,
+      combinedResponses.filter((resp) => !unreadableIds.has(resp.question_id)),
+      { includeBlank: isBubbleSheet }
+    );
+    if (isBubbleSheet) {
+      combinedResponses.forEach((resp) => {
+        const unreadable = unreadableIds.has(resp.question_id);
+        flagForReview(resp, {
+          blank: !unreadable && resp.selected_options.length === 0,
+          unreadable,
+        });
+      });
+    }
+    // Phase 3: score written answers against their rubric with the grading engine
+    const gradedCount = await gradingEngine.gradeResponses(
+      questions,
+      combinedResponses,
+      { misnumbered: Boolean(data.misnumbered) }
+    );
+    if (gradingEngine.provider) {
+      console.log(
+        `[handlePdfUpload] Graded ${gradedCount} answers with the ${gradingEngine.provider.name} provider`
+      );
+    } else {
+      console.log(
+        "[handlePdfUpload] GRADING_PROVIDER not set, written answers are left for the teacher"
+      );
+    }
     // Persist the full grading breakdown
+    const student = await Student.findById(studentId);
+    if (!student) throw new Error(`Student not found: ${studentId}`);
+    const assignmentEntry = student.assignments.find(
+      (entry) => entry.assignment.toString() === assignmentId
+    );
+    if (!assignmentEntry)
+      throw new Error(
+        `Assignment entry not found for assignment ${assignmentId}`
+      );
+    assignmentEntry.pages = urls;
     assignmentEntry.responses = combinedResponses;
     assignmentEntry.status = "graded";
     await student.save();
     console.log(
       `Grading complete for student ${studentId}, assignment ${assignmentId}`
     );
+    // The student is notified when the teacher publishes the result
     return combinedResponses;
   } catch (error) {
     console.error("Error processing submission:", error);
@@ -0,0 +1,229 @@
+/**
+ * Notification Controller
+ * Handles per-class result notification settings, manual sends and the delivery log
+ */
+const mongoose = require("mongoose");
+const Class = require("../models/classModel");
+const Teacher = require("../models/teacherModel");
+const NotificationLog = require("../models/notificationLogModel");
+const notifications = require("../services/notifications");
+
+/**
+ * Check that a class exists and belongs to the teacher
+ * @param {String} classId - Class ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Object>} { status, error } on failure, otherwise { classData }
+ */
+const findOwnedClass = async (classId, teacherId) => {
+  if (!mongoose.isValidObjectId(classId)) {
+    return { status: 400, error: "Invalid class ID" };
+  }
+  const classData = await Class.findById(classId);
+  if (!classData || classData.deletedAt) {
+    return { status: 404, error: "Class not found" };
+  }
+  const teacher = await Teacher.findById(teacherId);
+  if (!teacher || !teacher.classes.includes(classData._id.toString())) {
+    return {
+      status: 403,
+      error: "You don't have permission to manage this class",
+    };
+  }
+  return { classData };
+};
+
+/**
+ * Get a class's notification settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getClassSettings = async (req, res) => {
+  try {
+    const lookup = await findOwnedClass(req.params.classId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const settings = lookup.classData.notifications;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: settings.enabled,
+        channel: settings.channel,
+        template: settings.template || notifications.DEFAULT_TEMPLATE,
+        provider: notifications.provider.name,
+      },
+    });
+  } catch (err) {
+    console.error("Error getting notification settings:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Opt a class in or out of result notifications and set its channel and template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateClassSettings = async (req, res) => {
+  try {
+    const { enabled, channel, template } = req.body;
+
+    if (channel !== undefined && !["whatsapp", "sms"].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: "Channel must be whatsapp or sms",
+      });
+    }
+    if (template !== undefined && typeof template !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Template must be a string",
+      });
+    }
+
+    const lookup = await findOwnedClass(req.params.classId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { classData } = lookup;
+
+    if (enabled !== undefined) classData.notifications.enabled = !!enabled;
+    if (channel !== undefined) classData.notifications.channel = channel;
+    if (template !== undefined) classData.notifications.template = template;
+    await classData.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification settings updated successfully",
+      data: {
+        enabled: classData.notifications.enabled,
+        channel: classData.notifications.channel,
+        template:
+          classData.notifications.template || notifications.DEFAULT_TEMPLATE,
+      },
+    });
+  } catch (err) {
+    console.error("Error updating notification settings:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Get the notification delivery log for a class
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getClassLog = async (req, res) => {
+  try {
+    const { assignmentId } = req.query;
+    if (assignmentId !== undefined && !mongoose.isValidObjectId(assignmentId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid assignment ID" });
+    }
+
+    const lookup = await findOwnedClass(req.params.classId, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+
+    const filter = { class: lookup.classData._id };
+    if (assignmentId) filter.assignment = assignmentId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const entries = await NotificationLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 100, 500))
+      .populate("student", "full_name rollNo")
+      .populate("assignment", "title");
+
+    return res.status(200).json({
+      success: true,
+      data: entries,
+    });
+  } catch (err) {
+    console.error("Error getting notification log:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Send (or resend) a student their result for an assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.sendResult = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    if (
+      !mongoose.isValidObjectId(assignmentId) ||
+      !mongoose.isValidObjectId(studentId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid assignment or student ID",
+      });
+    }
+
+    const classData = await Class.findOne({
+      assignments: assignmentId,
+      deletedAt: null,
+    });
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: "Class not found for this assignment",
+      });
+    }
+    const lookup = await findOwnedClass(classData._id, req.user.id);
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+
+    // Teachers sending by hand do not need the class to have opted in
+    const outcome = await notifications.notifyResult(studentId, assignmentId, {
+      force: true,
+    });
+    if (!outcome.sent) {
+      return res.status(outcome.log ? 502 : 400).json({
+        success: false,
+        message: outcome.reason,
+        data: outcome.log || null,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Result sent successfully",
+      data: outcome.log,
+    });
+  } catch (err) {
+    console.error("Error sending result notification:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
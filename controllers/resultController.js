@@ -0,0 +1,232 @@
+/**
+ * Result Controller
+ * Handles shareable public links to a student's graded result
+ */
+const mongoose = require("mongoose");
+const Assignment = require("../models/assignmentModel");
+const Class = require("../models/classModel");
+const Teacher = require("../models/teacherModel");
+const Student = require("../models/studentModel");
+const config = require("../config/env");
+const { buildResultSummary, isShareActive } = require("../utils/gradingUtils");
+const { issueShareLink, verifyShareToken } = require("../utils/shareLinks");
+
+/**
+ * Load a student's assignment entry for an assignment the teacher owns
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} studentId - Student ID
+ * @param {String} teacherId - Teacher ID
+ * @returns {Promise<Object>} { status, error } on failure, otherwise the student and studentAssignment
+ */
+const findOwnedStudentAssignment = async (
+  assignmentId,
+  studentId,
+  teacherId
+) => {
+  if (
+    !mongoose.isValidObjectId(assignmentId) ||
+    !mongoose.isValidObjectId(studentId)
+  ) {
+    return { status: 400, error: "Invalid assignment or student ID" };
+  }
+  const classData = await Class.findOne({
+    assignments: assignmentId,
+    deletedAt: null,
+  });
+  const teacher = await Teacher.findById(teacherId);
+  if (
+    !classData ||
+    !teacher ||
+    !teacher.classes.includes(classData._id.toString())
+  ) {
+    return {
+      status: 403,
+      error: "You don't have permission to share this assignment",
+    };
+  }
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    return { status: 404, error: "Student not found" };
+  }
+
+  const studentAssignment = student.assignments.find(
+    (a) => a.assignment.toString() === assignmentId
+  );
+  if (!studentAssignment) {
+    return { status: 404, error: "Assignment not assigned to this student" };
+  }
+
+  return { student, studentAssignment };
+};
+
+/**
+ * Create (or replace) a public link to a student's published result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const teacherId = req.user.id;
+    const expiresInDays =
+      parseInt(req.body?.expiresInDays, 10) ||
+      config.SHARE_LINK_EXPIRES_IN_DAYS;
+
+    if (expiresInDays < 1 || expiresInDays > 365) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresInDays must be between 1 and 365",
+      });
+    }
+
+    const lookup = await findOwnedStudentAssignment(
+      assignmentId,
+      studentId,
+      teacherId
+    );
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { student, studentAssignment } = lookup;
+
+    if (!studentAssignment.published) {
+      return res.status(400).json({
+        success: false,
+        message: "Only published results can be shared",
+      });
+    }
+
+    issueShareLink(studentAssignment, studentId, expiresInDays);
+    await student.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Share link created successfully",
+      data: {
+        sharedUrl: studentAssignment.sharedUrl,
+        expiresAt: studentAssignment.shareExpiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("Error creating share link:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Revoke a student's result link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const teacherId = req.user.id;
+
+    const lookup = await findOwnedStudentAssignment(
+      assignmentId,
+      studentId,
+      teacherId
+    );
+    if (lookup.error) {
+      return res
+        .status(lookup.status)
+        .json({ success: false, message: lookup.error });
+    }
+    const { student, studentAssignment } = lookup;
+
+    studentAssignment.shareId = "";
+    studentAssignment.isShared = false;
+    studentAssignment.sharedUrl = "";
+    studentAssignment.shareExpiresAt = undefined;
+    await student.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Share link revoked successfully",
+    });
+  } catch (err) {
+    console.error("Error revoking share link:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Public: get the result behind a share link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSharedResult = async (req, res) => {
+  const { token } = req.params;
+
+  let payload;
+  try {
+    payload = verifyShareToken(token);
+  } catch (err) {
+    const expired = err.name === "TokenExpiredError";
+    return res.status(expired ? 410 : 404).json({
+      success: false,
+      message: expired
+        ? "This result link has expired"
+        : "This result link is not valid",
+    });
+  }
+
+  try {
+    const { studentId, assignmentId, shareId } = payload;
+
+    const student = await Student.findById(studentId).select(
+      "full_name rollNo assignments"
+    );
+    const studentAssignment = student?.assignments.find(
+      (a) => a.assignment.toString() === assignmentId
+    );
+
+    // Revoked or replaced links no longer match the stored share id, and
+    // unpublished results are hidden
+    if (
+      !studentAssignment ||
+      studentAssignment.shareId !== shareId ||
+      !isShareActive(studentAssignment) ||
+      !studentAssignment.published
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "This result link is not valid",
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId).populate(
+      "questions",
+      "text maxMarks"
+    );
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: buildResultSummary(assignment, student, studentAssignment),
+    });
+  } catch (err) {
+    console.error("Error getting shared result:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: err.message,
+    });
+  }
+};
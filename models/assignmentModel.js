@@ -11,10 +11,40 @@ const assignmentSchema = new mongoose.Schema({
       ref: "Question",
     },
   ],
+  // Questions removed by an edit; kept so archived student responses still resolve
+  archivedQuestions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
+  ],
   active: {
     type: Boolean,
     default: true,
   },
+  // How answers are submitted: written answer sheets or a printed bubble sheet
+  answerSheet: {
+    type: String,
+    enum: ["written", "bubble"],
+    default: "written",
+  },
+  // Submission window; submissions after dueDate are late, after closeDate refused
+  openDate: {
+    type: Date,
+  },
+  dueDate: {
+    type: Date,
+  },
+  // The assignment is made inactive automatically once this passes
+  closeDate: {
+    type: Date,
+  },
+  // Percentage taken off a late submission's total, once or per day late
+  latePenalty: {
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    perDay: { type: Boolean, default: false },
+    maxPercent: { type: Number, default: 100, min: 0, max: 100 },
+  },
 });
 
 module.exports = mongoose.model("Assignment", assignmentSchema);
@@ -22,6 +22,36 @@ const classSchema = new mongoose.Schema({
       ref: "Assignment",
     },
   ],
+  // Archived classes are hidden from the class list by default
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  archivedAt: {
+    type: Date,
+  },
+  // Set when a class is deleted; it can be restored until it is purged
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  // Result notifications sent to students when their result is published
+  notifications: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    channel: {
+      type: String,
+      enum: ["whatsapp", "sms"],
+      default: "whatsapp",
+    },
+    // Empty uses the default template, see services/notifications
+    template: {
+      type: String,
+      default: "",
+    },
+  },
 });
 
 module.exports = mongoose.model("Class", classSchema);
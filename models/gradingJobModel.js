@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const gradingJobSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+    },
+    // Storage key of the uploaded PDF, cleared once the job has completed
+    fileKey: {
+      type: String,
+      default: null,
+    },
+    fileName: {
+      type: String,
+      default: "",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+    // Responses produced by the pipeline
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // The worker processing the job holds it until lockedUntil and keeps
+    // extending the lease while it works; an expired lease can be reclaimed
+    workerId: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Workers pick up the oldest queued job first
+gradingJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("GradingJob", gradingJobSchema);
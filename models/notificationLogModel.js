@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const notificationLogSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    class: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+    },
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+    },
+    channel: {
+      type: String,
+      enum: ["whatsapp", "sms"],
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed"],
+      required: true,
+    },
+    providerMessageId: {
+      type: String,
+      default: "",
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationLogSchema.index({ class: 1, createdAt: -1 });
+
+module.exports = mongoose.model("NotificationLog", notificationLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const rubricSchema = require("./rubricSchema");
+const { parseLegacyRubric } = require("../utils/rubricUtils");
 
 const questionSchema = new mongoose.Schema({
   text: {
@@ -14,9 +16,36 @@ const questionSchema = new mongoose.Schema({
     enum: ["mcq", "subjective"],
     default: "subjective",
   },
+  // MCQ only: the choices, e.g. { key: "A", text: "12" }
+  options: {
+    type: [
+      {
+        key: { type: String, required: true },
+        text: { type: String, default: "" },
+        _id: false,
+      },
+    ],
+    default: [],
+  },
+  // MCQ only: keys of every correct option
+  correctOptions: {
+    type: [String],
+    default: [],
+  },
+  // MCQ only: award a share of the marks for picking some correct options and no wrong ones
+  partialCredit: {
+    type: Boolean,
+    default: false,
+  },
+  // MCQ only: marks taken off for a wrong answer
+  negativeMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   rubric: {
-    type: String,
-    default: "",
+    type: rubricSchema,
+    default: () => ({}),
   },
   order: {
     type: Number,
@@ -24,4 +53,51 @@ const questionSchema = new mongoose.Schema({
   },
 });
 
-module.exports = mongoose.model("Question", questionSchema);
+/**
+ * Delete the given questions, skipping any still used by an assignment.
+ * Questions can be shared when an assignment is given to more than one class.
+ * @param {Array} questionIds - Question ids no longer needed by the caller
+ */
+questionSchema.statics.deleteUnreferenced = async function (questionIds) {
+  const Assignment = mongoose.model("Assignment");
+  const inUse = [
+    ...(await Assignment.distinct("questions", {
+      questions: { $in: questionIds },
+    })),
+    ...(await Assignment.distinct("archivedQuestions", {
+      archivedQuestions: { $in: questionIds },
+    })),
+  ];
+  const inUseIds = inUse.map((id) => id.toString());
+  const unused = questionIds.filter((id) => !inUseIds.includes(id.toString()));
+  if (unused.length > 0) {
+    await this.deleteMany({ _id: { $in: unused } });
+  }
+};
+
+const Question = mongoose.model("Question", questionSchema);
+
+/**
+ * Convert questions still holding a free-text rubric to structured rubrics.
+ * Works on the raw collection, since those documents don't fit the schema.
+ * @returns {Promise<Number>} How many questions were migrated
+ */
+const migrateLegacyRubrics = async () => {
+  const legacy = await Question.collection
+    .find({ rubric: { $type: "string" } })
+    .toArray();
+  for (const question of legacy) {
+    await Question.collection.updateOne(
+      { _id: question._id },
+      {
+        $set: {
+          rubric: parseLegacyRubric(question.rubric, question.maxMarks || 0),
+        },
+      }
+    );
+  }
+  return legacy.length;
+};
+
+module.exports = Question;
+module.exports.migrateLegacyRubrics = migrateLegacyRubrics;
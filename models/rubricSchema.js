@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A level of achievement within a criterion, e.g. "formula stated but misapplied"
+const descriptorSchema = new mongoose.Schema(
+  {
+    marks: { type: Number, required: true, min: 0 },
+    description: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// One marked step or criterion of a rubric
+const criterionSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: [true, "Rubric criteria need a description"],
+    },
+    marks: { type: Number, required: true, min: 0 },
+    descriptors: { type: [descriptorSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Another accepted way of solving the question, marked with its own steps
+const alternativeSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: "" },
+    criteria: { type: [criterionSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Structured marking rubric shared by questions and draft questions.
+ * Criteria are in marking order and, like each alternative path, should sum
+ * to the question's marks; see utils/rubricUtils for validation and for
+ * migrating the free-text rubrics questions used to have.
+ */
+const rubricSchema = new mongoose.Schema(
+  {
+    criteria: { type: [criterionSchema], default: [] },
+    alternatives: { type: [alternativeSchema], default: [] },
+    // General marking notes, and the original text of a migrated rubric
+    notes: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+module.exports = rubricSchema;
@@ -1,5 +1,77 @@
 const mongoose = require("mongoose");
 
+// Marks for a single rubric step within a response
+const stepBreakdownSchema = new mongoose.Schema(
+  {
+    step: { type: String, default: "" },
+    marks_awarded: { type: Number, default: 0, min: 0 },
+    marks_possible: { type: Number, default: 0, min: 0 },
+    comment: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// Audit record for a teacher changing the marks on a response
+const marksOverrideSchema = new mongoose.Schema(
+  {
+    previous_marks: { type: Number, default: null },
+    new_marks: { type: Number, required: true },
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+    },
+    reason: { type: String, default: "" },
+    created_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A student's answer to one question, with its grade
+const responseSchema = new mongoose.Schema({
+  question_id: { type: String, required: true },
+  // Typed MCQ answers have no image
+  image_url: {
+    type: String,
+    required: function () {
+      return this.selected_options.length === 0;
+    },
+    default: "",
+  },
+  // MCQ option keys the student chose, from a bubble sheet or typed in
+  selected_options: { type: [String], default: [] },
+  // Scored from the MCQ answer key rather than by a teacher
+  auto_graded: { type: Boolean, default: false },
+  // How sure automatic reading was of the answer, 0 to 1; null if not read automatically
+  confidence: { type: Number, default: null },
+  // Flagged for a teacher to check, e.g. an ambiguous bubble-sheet mark
+  needs_review: { type: Boolean, default: false },
+  // Why the response was flagged for review
+  review_reasons: {
+    type: [
+      {
+        type: String,
+        enum: [
+          "low_confidence",
+          "unreadable",
+          "blank",
+          "misnumbered",
+          "grading_failed",
+        ],
+      },
+    ],
+    default: [],
+  },
+  reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: "Teacher" },
+  reviewed_at: { type: Date },
+  // null until the response has been graded; negative marking can take it below zero
+  marks_awarded: { type: Number, default: null },
+  max_marks: { type: Number, default: 0, min: 0 },
+  steps: { type: [stepBreakdownSchema], default: [] },
+  feedback: { type: String, default: "" },
+  overrides: { type: [marksOverrideSchema], default: [] },
+});
+
 const studentAssignmentSchema = new mongoose.Schema({
   assignment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,16 +87,107 @@ const studentAssignmentSchema = new mongoose.Schema({
   submissionDate: {
     type: Date,
   },
-  // Store Cloudinary image URLs for student submissions
+  // Submitted after the assignment's due date
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  // Percentage taken off totalScore for a late submission
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+  },
+  // Set when processing the submission fails
+  failureReason: {
+    type: String,
+    default: "",
+  },
+  // Image URL of each scanned page, in page order
+  pages: {
+    type: [String],
+    default: [],
+  },
+  // Store Cloudinary image URLs for student submissions along with their grades
   responses: {
-    type: [
-      {
-        question_id: { type: String, required: true },
-        image_url: { type: String, required: true },
-      },
-    ],
+    type: [responseSchema],
     default: [],
   },
+  // Responses to questions since removed from the assignment; not counted in totals
+  archivedResponses: {
+    type: [responseSchema],
+    default: [],
+  },
+  // Graded results stay teacher-only until published
+  published: {
+    type: Boolean,
+    default: false,
+  },
+  publishedAt: {
+    type: Date,
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+  },
+  // Public result link, see resultController
+  isShared: {
+    type: Boolean,
+    default: false,
+  },
+  sharedUrl: {
+    type: String,
+    default: "",
+  },
+  // Random id embedded in the link token; changing it revokes older links
+  shareId: {
+    type: String,
+    default: "",
+  },
+  shareExpiresAt: {
+    type: Date,
+  },
+  // Rolled up from responses, see calculateTotals
+  rawScore: {
+    type: Number,
+    default: 0,
+  },
+  // rawScore less any late penalty
+  totalScore: {
+    type: Number,
+    default: 0,
+  },
+  maxScore: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Recalculate rawScore, totalScore and maxScore from the graded responses,
+ * applying any late penalty to totalScore
+ * @returns {Object} The updated { totalScore, maxScore }
+ */
+studentAssignmentSchema.methods.calculateTotals = function () {
+  // Negative marking can't take the total below zero
+  this.rawScore = Math.max(
+    this.responses.reduce((total, r) => total + (r.marks_awarded || 0), 0),
+    0
+  );
+  const penalty = (this.rawScore * (this.latePenaltyPercent || 0)) / 100;
+  this.totalScore = Math.round((this.rawScore - penalty) * 100) / 100;
+  this.maxScore = this.responses.reduce(
+    (total, r) => total + (r.max_marks || 0),
+    0
+  );
+  return { totalScore: this.totalScore, maxScore: this.maxScore };
+};
+
+// Keep totals in sync whenever responses or the late penalty change
+studentAssignmentSchema.pre("validate", function (next) {
+  if (this.isModified("responses") || this.isModified("latePenaltyPercent")) {
+    this.calculateTotals();
+  }
+  next();
 });
 
 const studentSchema = new mongoose.Schema({
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const rubricSchema = require("./rubricSchema");
+const { parseLegacyRubric } = require("../utils/rubricUtils");
 
 // Define a separate schema for draft questions
 const draftQuestionSchema = new mongoose.Schema(
@@ -13,8 +15,8 @@ const draftQuestionSchema = new mongoose.Schema(
       default: 0,
     },
     rubric: {
-      type: String,
-      default: "",
+      type: rubricSchema,
+      default: () => ({}),
     },
   },
   { _id: false }
@@ -98,4 +100,33 @@ teacherSchema.pre("save", function (next) {
   next();
 });
 
-module.exports = mongoose.model("Teacher", teacherSchema);
+const Teacher = mongoose.model("Teacher", teacherSchema);
+
+/**
+ * Convert draft questions still holding a free-text rubric to structured rubrics.
+ * Works on the raw collection, since those documents don't fit the schema.
+ * @returns {Promise<Number>} How many teachers' drafts were migrated
+ */
+const migrateLegacyDraftRubrics = async () => {
+  const legacy = await Teacher.collection
+    .find({ "drafts.questions.rubric": { $type: "string" } })
+    .toArray();
+  for (const teacher of legacy) {
+    const drafts = teacher.drafts.map((draft) => ({
+      ...draft,
+      questions: (draft.questions || []).map((q) =>
+        typeof q.rubric === "string"
+          ? { ...q, rubric: parseLegacyRubric(q.rubric, q.points || 0) }
+          : q
+      ),
+    }));
+    await Teacher.collection.updateOne(
+      { _id: teacher._id },
+      { $set: { drafts } }
+    );
+  }
+  return legacy.length;
+};
+
+module.exports = Teacher;
+module.exports.migrateLegacyDraftRubrics = migrateLegacyDraftRubrics;
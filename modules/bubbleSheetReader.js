@@ -0,0 +1,254 @@
+const cv = require("opencv4nodejs");
+const { inkMask } = require("./marginCropImages");
+
+// Size the sheet is warped to once aligned on its corner markers (A4 ratio)
+const SHEET_WIDTH = 1000;
+const SHEET_HEIGHT = 1414;
+
+// A bubble counts as filled above this share of inked pixels
+const FILL_THRESHOLD = 0.45;
+// How far from the threshold a bubble must be to be read with full confidence
+const CONFIDENT_MARGIN = 0.25;
+
+/**
+ * Where the bubbles sit on the printed sheet. Positions are fractions of the
+ * rectangle between the centres of the four corner markers. Questions run
+ * down each column in turn; each row starts with a label area for the
+ * question number, followed by one bubble per option.
+ */
+const DEFAULT_LAYOUT = {
+  questionCount: 50,
+  options: ["A", "B", "C", "D"],
+  columns: 2,
+  rowsPerColumn: 25,
+  top: 0.08,
+  bottom: 0.98,
+  left: 0.02,
+  right: 0.98,
+  labelWidth: 0.25,
+};
+
+/**
+ * Find the four filled square corner markers of a bubble sheet.
+ * @param {cv.Mat} mask – ink mask of the page
+ * @returns {cv.Point2[]|null} marker centres (top-left, top-right,
+ *   bottom-right, bottom-left), or null if any corner is missing
+ */
+function findCornerMarkers(mask) {
+  const w = mask.cols;
+  const h = mask.rows;
+  const minSide = Math.min(w, h) / 100;
+  const maxSide = Math.min(w, h) / 10;
+
+  const candidates = mask
+    .findContours(cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE)
+    .filter((contour) => {
+      const rect = contour.boundingRect();
+      const square = rect.width / rect.height;
+      const solidity = contour.area / (rect.width * rect.height);
+      const corners = contour.approxPolyDP(
+        0.05 * contour.arcLength(true),
+        true
+      );
+      return (
+        corners.length === 4 &&
+        rect.width >= minSide &&
+        rect.width <= maxSide &&
+        square > 0.7 &&
+        square < 1.3 &&
+        solidity > 0.8
+      );
+    })
+    .map((contour) => {
+      const rect = contour.boundingRect();
+      return new cv.Point2(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    });
+
+  // The marker nearest each page corner, so stray squares inside are ignored
+  const pageCorners = [
+    new cv.Point2(0, 0),
+    new cv.Point2(w, 0),
+    new cv.Point2(w, h),
+    new cv.Point2(0, h),
+  ];
+  const markers = pageCorners.map((corner) => {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach((c) => {
+      const distance = Math.hypot(c.x - corner.x, c.y - corner.y);
+      if (distance < bestDistance) {
+        best = c;
+        bestDistance = distance;
+      }
+    });
+    // Markers must sit in their own quarter of the page
+    return best &&
+      Math.abs(best.x - corner.x) < w / 2 &&
+      Math.abs(best.y - corner.y) < h / 2
+      ? best
+      : null;
+  });
+  return markers.every(Boolean) ? markers : null;
+}
+
+/**
+ * Warp the page so its corner markers form an upright rectangle.
+ * @param {cv.Mat} img – BGR page
+ * @param {cv.Point2[]} markers – output of findCornerMarkers
+ * @returns {cv.Mat} aligned sheet, SHEET_WIDTH × SHEET_HEIGHT
+ */
+function alignSheet(img, markers) {
+  const target = [
+    new cv.Point2(0, 0),
+    new cv.Point2(SHEET_WIDTH, 0),
+    new cv.Point2(SHEET_WIDTH, SHEET_HEIGHT),
+    new cv.Point2(0, SHEET_HEIGHT),
+  ];
+  const transform = cv.getPerspectiveTransform(markers, target);
+  return img.warpPerspective(transform, new cv.Size(SHEET_WIDTH, SHEET_HEIGHT));
+}
+
+/**
+ * Bubble centres and sampling size for every question in a layout.
+ * @param {Object} layout
+ * @returns {{radius:number, questions:Array<{questionNumber:number,
+ *   bubbles:Array<{option:string, x:number, y:number}>}>}}
+ */
+function bubblePositions(layout) {
+  const areaWidth = (layout.right - layout.left) * SHEET_WIDTH;
+  const areaHeight = (layout.bottom - layout.top) * SHEET_HEIGHT;
+  const columnWidth = areaWidth / layout.columns;
+  const rowHeight = areaHeight / layout.rowsPerColumn;
+  const optionPitch =
+    (columnWidth * (1 - layout.labelWidth)) / layout.options.length;
+
+  const questions = [];
+  for (let i = 0; i < layout.questionCount; i++) {
+    const column = Math.floor(i / layout.rowsPerColumn);
+    const row = i % layout.rowsPerColumn;
+    const columnLeft = layout.left * SHEET_WIDTH + column * columnWidth;
+    const y = layout.top * SHEET_HEIGHT + (row + 0.5) * rowHeight;
+    questions.push({
+      questionNumber: i + 1,
+      bubbles: layout.options.map((option, o) => ({
+        option,
+        x:
+          columnLeft +
+          columnWidth * layout.labelWidth +
+          (o + 0.5) * optionPitch,
+        y,
+      })),
+    });
+  }
+
+  // Sample inside the bubble outline so the printed ring is not counted
+  const radius = Math.max(
+    2,
+    Math.floor(0.3 * Math.min(optionPitch, rowHeight))
+  );
+  return { radius, questions };
+}
+
+/**
+ * Share of inked pixels in a square around a bubble centre.
+ * @param {cv.Mat} mask – ink mask of the aligned sheet
+ * @param {{x:number, y:number}} centre
+ * @param {number} radius
+ * @returns {number} 0 (empty) to 1 (solid)
+ */
+function fillRatio(mask, centre, radius) {
+  const x = Math.max(0, Math.round(centre.x - radius));
+  const y = Math.max(0, Math.round(centre.y - radius));
+  const size = Math.min(2 * radius, mask.cols - x, mask.rows - y);
+  if (size <= 0) return 0;
+  return (
+    mask.getRegion(new cv.Rect(x, y, size, size)).countNonZero() / (size * size)
+  );
+}
+
+/**
+ * Result for a sheet that cannot be read: every answer is empty, has no
+ * confidence and is marked unreadable.
+ * @param {Object} layout
+ * @param {string} reason – why the sheet could not be read
+ * @returns {Object} same shape as readBubbleSheet's result
+ */
+function unreadableSheet(layout, reason) {
+  return {
+    confidence: 0,
+    unreadable: true,
+    reason,
+    answers: Array.from({ length: layout.questionCount }, (_, i) => ({
+      questionNumber: i + 1,
+      selected: [],
+      confidence: 0,
+      unreadable: true,
+      fills: {},
+    })),
+  };
+}
+
+/**
+ * Read the filled bubbles on one scanned bubble sheet.
+ * Each answer carries a confidence from 0 to 1: how clearly every bubble in
+ * the row is either filled or empty. Faint, partly erased or half-filled
+ * marks lower it; the caller decides which confidence needs review.
+ * A page that cannot be decoded or aligned is returned as `unreadable`
+ * rather than thrown, so the other pages of a submission can still be read.
+ * @param {Buffer} buffer – PNG/JPEG bytes of the page
+ * @param {Object} [layout] – overrides for DEFAULT_LAYOUT
+ * @returns {{confidence:number, unreadable:boolean, reason?:string,
+ *   answers:Array<{questionNumber:number, selected:string[],
+ *   confidence:number, unreadable:boolean, fills:Object<string, number>}>}}
+ */
+function readBubbleSheet(buffer, layout = {}) {
+  const sheetLayout = { ...DEFAULT_LAYOUT, ...layout };
+  const img = cv.imdecode(buffer);
+  if (!img || img.empty) {
+    return unreadableSheet(sheetLayout, "Bubble sheet image is unreadable");
+  }
+
+  const markers = findCornerMarkers(inkMask(img));
+  if (!markers) {
+    return unreadableSheet(
+      sheetLayout,
+      "Bubble sheet corner markers could not be found"
+    );
+  }
+  const mask = inkMask(alignSheet(img, markers));
+
+  const { radius, questions } = bubblePositions(sheetLayout);
+  const answers = questions.map(({ questionNumber, bubbles }) => {
+    const fills = {};
+    bubbles.forEach((b) => {
+      fills[b.option] = Math.round(fillRatio(mask, b, radius) * 100) / 100;
+    });
+
+    const selected = bubbles
+      .map((b) => b.option)
+      .filter((option) => fills[option] >= FILL_THRESHOLD);
+    const confidence = Math.min(
+      ...Object.values(fills).map((fill) =>
+        Math.min(1, Math.abs(fill - FILL_THRESHOLD) / CONFIDENT_MARGIN)
+      )
+    );
+    return {
+      questionNumber,
+      selected,
+      confidence: Math.round(confidence * 100) / 100,
+      unreadable: false,
+      fills,
+    };
+  });
+
+  return {
+    confidence: answers.length
+      ? Math.min(...answers.map((a) => a.confidence))
+      : 0,
+    unreadable: false,
+    answers,
+  };
+}
+
+module.exports = readBubbleSheet;
+module.exports.DEFAULT_LAYOUT = DEFAULT_LAYOUT;
@@ -0,0 +1,51 @@
+const cv = require("opencv4nodejs");
+const marginCropImages = require("./marginCropImages");
+const { segmentAnswers } = marginCropImages;
+
+/**
+ * Stack image regions of equal width on top of each other.
+ * @param {cv.Mat[]} regions
+ * @returns {cv.Mat}
+ */
+function stackVertically(regions) {
+  if (regions.length === 1) return regions[0];
+  const rows = regions.reduce((all, r) => all.concat(r.getDataAsArray()), []);
+  return new cv.Mat(rows, regions[0].type);
+}
+
+/**
+ * Crop each answer out of rasterized answer-sheet pages.
+ * Answers are numbered in the order their margin markers appear; an answer
+ * that runs over a page break is stitched into a single image. If the number
+ * of answers found differs from `questionCount`, every crop is `misnumbered`.
+ * @param {Buffer[]} pages – PNG bytes for each page, in page order
+ * @param {number} [questionCount] – number of questions in the assignment
+ * @returns {Array<{questionNumber:number, misnumbered:boolean, buffer:Buffer}>} PNG crop per answer
+ */
+function cropAnswers(pages, questionCount) {
+  const files = pages.map((buffer, i) => ({
+    originalname: `page-${i + 1}`,
+    buffer,
+  }));
+  const results = marginCropImages(files);
+  const answers = segmentAnswers(
+    results,
+    files.map((f) => f.originalname),
+    questionCount
+  );
+
+  return answers.map(({ questionNumber, misnumbered, parts }) => {
+    const regions = parts.map(({ file, box }) =>
+      results[file].img.getRegion(
+        new cv.Rect(box.x, box.y, box.width, box.height)
+      )
+    );
+    return {
+      questionNumber,
+      misnumbered,
+      buffer: cv.imencode(".png", stackVertically(regions)),
+    };
+  });
+}
+
+module.exports = { cropAnswers };
@@ -1,9 +1,126 @@
 const cv = require("opencv4nodejs");
 
 /**
- * Perform a vertical (left-hand) margin crop on every uploaded file.
+ * Binarize a BGR image so ink is 255 and paper is 0.
+ * @param {cv.Mat} mat
+ * @returns {cv.Mat} single-channel binary Mat
+ */
+function inkMask(mat) {
+  const gray = mat.cvtColor(cv.COLOR_BGR2GRAY);
+  const { thresh } = gray.threshold(
+    0,
+    255,
+    cv.THRESH_BINARY_INV | cv.THRESH_OTSU
+  );
+  return thresh;
+}
+
+/**
+ * Locate question numbers in the margin strip via connected components.
+ * Blobs that overlap vertically or sit within a small blank gap of each other
+ * ("1" and "2" of "12", "Q" and "3") are merged into one marker.
+ * @param {cv.Mat} marginMat – BGR crop of the margin
+ * @returns {Array<{top:number, bottom:number}>} markers in page order
+ */
+function findMarkers(marginMat) {
+  const h = marginMat.rows;
+  const { stats } = inkMask(marginMat).connectedComponentsWithStats(8);
+  const rows = stats.getDataAsArray();
+
+  // Ignore specks and anything taller than a handwritten/printed number
+  const minHeight = Math.max(3, Math.floor(h / 200));
+  const maxHeight = Math.floor(h / 8);
+  const minArea = minHeight * 2;
+  const blobs = rows
+    .slice(1) // label 0 is the background
+    .map(([, top, , height, area]) => ({ top, bottom: top + height, area }))
+    .filter(
+      (b) =>
+        b.bottom - b.top >= minHeight &&
+        b.bottom - b.top <= maxHeight &&
+        b.area >= minArea
+    )
+    .sort((a, b) => a.top - b.top);
+
+  const maxGap = Math.max(2, Math.floor(h / 100));
+  const markers = [];
+  blobs.forEach((blob) => {
+    const last = markers[markers.length - 1];
+    if (last && blob.top - last.bottom <= maxGap) {
+      last.bottom = Math.max(last.bottom, blob.bottom);
+    } else {
+      markers.push({ top: blob.top, bottom: blob.bottom });
+    }
+  });
+  return markers;
+}
+
+/**
+ * Shrink a vertical band so it ends at the last inked row (blank-gap trim).
+ * @param {number[]} rowInk – inked pixel count per page row
+ * @param {number} top
+ * @param {number} bottom – exclusive
+ * @returns {number} new exclusive bottom, or top if the band is blank
+ */
+function trimBlankRows(rowInk, top, bottom) {
+  let end = bottom;
+  while (end > top && rowInk[end - 1] === 0) end--;
+  return end;
+}
+
+/**
+ * Split a page into per-answer bounding boxes using the margin markers.
+ * Ink above the first marker is returned as a `continued` box: it belongs
+ * to the last answer of the previous page.
+ * @param {cv.Mat} img – full page
+ * @param {Array<{top:number, bottom:number}>} markers
+ * @param {number} marginX – column of the margin line
+ * @returns {Array<{x:number, y:number, width:number, height:number, continued:boolean}>}
+ */
+function answerBoxes(img, markers, marginX) {
+  const w = img.cols;
+  const h = img.rows;
+
+  // Ignore a thin border so scanner edges do not count as ink, and only
+  // count ink right of the margin line: the line runs the full page height
+  // and would otherwise keep every row "inked"
+  const border = Math.floor(Math.min(w, h) / 100);
+  const answerLeft = Math.min(w - border, Math.max(border, marginX + border));
+  const rowInk = inkMask(img)
+    .getDataAsArray()
+    .map((row, y) =>
+      y < border || y >= h - border
+        ? 0
+        : row.slice(answerLeft, w - border).filter((v) => v > 0).length
+    );
+
+  const bands = [];
+  const firstTop = markers.length ? markers[0].top : h;
+  if (firstTop > 0) bands.push({ top: 0, bottom: firstTop, continued: true });
+  markers.forEach((m, i) => {
+    const bottom = i + 1 < markers.length ? markers[i + 1].top : h;
+    bands.push({ top: m.top, bottom, continued: false });
+  });
+
+  return bands
+    .map((band) => {
+      const bottom = trimBlankRows(rowInk, band.top, band.bottom);
+      return {
+        x: 0,
+        y: band.top,
+        width: w,
+        height: bottom - band.top,
+        continued: band.continued,
+      };
+    })
+    .filter((box) => box.height > 0);
+}
+
+/**
+ * Perform a vertical (left-hand) margin crop on every uploaded file and
+ * segment each page into answers.
  * @param {Array<{originalname:string, buffer:Buffer}>} files – multer file objects
- * @returns {Object} results[filename] = { cropMat, marginX, marginSum }
+ * @returns {Object} results[filename] = { img, cropMat, marginX, marginSum, markers, answers }
  */
 function marginCropImages(files) {
   const results = {};
@@ -51,12 +168,62 @@ function marginCropImages(files) {
 
     const marginX = colSums.indexOf(Math.max(...colSums));
     const marginSum = colSums[marginX];
+    if (marginX === 0) return; // no margin line found → skip
 
     const cropMat = img.getRegion(new cv.Rect(0, 0, marginX, h));
-    results[file.originalname] = { cropMat, marginX, marginSum };
+    const markers = findMarkers(cropMat);
+    const answers = answerBoxes(img, markers, marginX);
+    results[file.originalname] = {
+      img,
+      cropMat,
+      marginX,
+      marginSum,
+      markers,
+      answers,
+    };
   });
 
   return results;
 }
 
+/**
+ * Join per-page answer boxes into answers, following answers across page breaks.
+ * Answers are numbered by position, so one missed or extra margin number
+ * shifts every later answer: when an expected count is given and the answers
+ * found do not match it, every answer is marked `misnumbered`.
+ * @param {Object} results – output of marginCropImages
+ * @param {string[]} order – filenames in page order
+ * @param {number} [expectedCount] – number of questions on the sheet
+ * @returns {Array<{questionNumber:number, misnumbered:boolean, parts:Array<{file:string, box:Object}>}>}
+ */
+function segmentAnswers(results, order, expectedCount) {
+  const answers = [];
+  order.forEach((file) => {
+    const page = results[file];
+    if (!page) return; // unreadable page
+
+    page.answers.forEach((box) => {
+      const previous = answers[answers.length - 1];
+      if (box.continued) {
+        // Nothing to continue on the first page: header/name area, skip it
+        if (previous) previous.parts.push({ file, box });
+        return;
+      }
+      answers.push({
+        questionNumber: answers.length + 1,
+        parts: [{ file, box }],
+      });
+    });
+  });
+
+  const misnumbered =
+    expectedCount !== undefined && answers.length !== expectedCount;
+  answers.forEach((answer) => {
+    answer.misnumbered = misnumbered;
+  });
+  return answers;
+}
+
 module.exports = marginCropImages;
+module.exports.segmentAnswers = segmentAnswers;
+module.exports.inkMask = inkMask;
@@ -4,6 +4,7 @@
  */
 const express = require("express");
 const assignmentController = require("../controllers/assignmentController");
+const gradebookController = require("../controllers/gradebookController");
 const authMiddleware = require("../middleware/authMiddleware");
 
 const router = express.Router();
@@ -17,6 +18,16 @@ router.post("/", assignmentController.createAssignment);
 // Update an existing assignment
 router.put("/:assignmentId", assignmentController.updateAssignment);
 
+// Delete an assignment with its questions and student entries
+router.delete("/:assignmentId", assignmentController.deleteAssignment);
+
+// Copy an assignment, or give it to another class
+router.post(
+  "/:assignmentId/duplicate",
+  assignmentController.duplicateAssignment
+);
+router.post("/:assignmentId/assign", assignmentController.assignToClass);
+
 // Draft routes - IMPORTANT: Place these BEFORE the dynamic :assignmentId routes
 router.post("/drafts", assignmentController.saveDraft);
 router.get("/drafts", assignmentController.getAllDrafts);
@@ -32,10 +43,70 @@ router.get(
   assignmentController.getAvailableStudents
 );
 
+// Export the assignment gradebook (?format=xlsx|csv)
+router.get(
+  "/:assignmentId/gradebook",
+  gradebookController.exportAssignmentGradebook
+);
+
 // Get rubric for a specific question in an assignment
 router.get(
   "/:assignmentId/questions/:questionId/rubric",
   assignmentController.getQuestionRubric
 );
 
+// Get one student's submission for review
+router.get(
+  "/:assignmentId/students/:studentId/submission",
+  assignmentController.getStudentSubmission
+);
+
+// Save the step-by-step marks breakdown for one student's answer
+router.put(
+  "/:assignmentId/students/:studentId/questions/:questionId/steps",
+  assignmentController.saveQuestionStepsBreakdown
+);
+
+// Manually override the marks for one student's answer
+router.put(
+  "/:assignmentId/students/:studentId/questions/:questionId/marks",
+  assignmentController.overrideQuestionMarks
+);
+
+// Get the marks override history for one student's answer
+router.get(
+  "/:assignmentId/students/:studentId/questions/:questionId/marks/history",
+  assignmentController.getQuestionMarksHistory
+);
+
+// Review queue of low-confidence, unreadable and blank answers
+router.get("/:assignmentId/review", assignmentController.getReviewQueue);
+router.post(
+  "/:assignmentId/review/students/:studentId/questions/:questionId/accept",
+  assignmentController.acceptReviewItem
+);
+router.put(
+  "/:assignmentId/review/students/:studentId/questions/:questionId/adjust",
+  assignmentController.adjustReviewItem
+);
+router.post(
+  "/:assignmentId/review/students/:studentId/questions/:questionId/regrade",
+  assignmentController.regradeReviewItem
+);
+
+// Publish graded results to students, and list those still unpublished
+router.post("/:assignmentId/publish", assignmentController.publishResults);
+router.get(
+  "/:assignmentId/unpublished",
+  assignmentController.getUnpublishedResults
+);
+router.post(
+  "/:assignmentId/students/:studentId/publish",
+  assignmentController.publishStudentResult
+);
+router.post(
+  "/:assignmentId/students/:studentId/unpublish",
+  assignmentController.unpublishStudentResult
+);
+
 module.exports = router;
@@ -4,7 +4,13 @@
  */
 const express = require("express");
 const classController = require("../controllers/classController");
+const gradebookController = require("../controllers/gradebookController");
 const authMiddleware = require("../middleware/authMiddleware");
+const multer = require("multer");
+
+// Use memory storage for uploaded roster spreadsheets
+const storage = multer.memoryStorage();
+const upload = multer({ storage });
 
 const router = express.Router();
 
@@ -14,13 +20,31 @@ router.use(authMiddleware);
 // Create a class
 router.post("/", classController.createClass);
 
+// Import a class roster from an .xlsx or .csv file (preview unless commit=true)
+router.post("/import", upload.single("file"), classController.importRoster);
+
 // Get all classes for a teacher
 router.get("/", classController.getTeacherClasses);
 
 // Get all students in a class
 router.get("/students", classController.getClassStudents);
 
+// Rename or archive a class
+router.put("/:classId", classController.updateClass);
+
+// Delete a class (restorable until purged) and restore it
+router.delete("/:classId", classController.deleteClass);
+router.post("/:classId/restore", classController.restoreClass);
+
 // Get all assignments for a class
 router.get("/:classId/assignments", classController.getClassAssignments);
 
+// Add, update and remove students in a class
+router.post("/:classId/students", classController.addStudents);
+router.put("/:classId/students/:studentId", classController.updateStudent);
+router.delete("/:classId/students/:studentId", classController.removeStudent);
+
+// Export the class gradebook (?format=xlsx|csv)
+router.get("/:classId/gradebook", gradebookController.exportClassGradebook);
+
 module.exports = router;
@@ -4,19 +4,71 @@
  */
 const express = require("express");
 const gradingController = require("../controllers/gradingController");
+const authMiddleware = require("../middleware/authMiddleware");
+const config = require("../config/env");
 const multer = require("multer");
 
-// Use memory storage for uploaded PDFs
+// Use memory storage for uploaded PDFs, up to MAX_UPLOAD_MB each
 const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: { fileSize: config.MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+});
+
+/**
+ * Accept a single uploaded `file`, replying with JSON if multer rejects it
+ */
+const uploadFile = (req, res, next) =>
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `File is larger than ${config.MAX_UPLOAD_MB} MB`
+          : err.message,
+      });
+    }
+    next(err);
+  });
 
 const router = express.Router();
 
 // Route for uploading PDF submissions
 router.post(
   "/uploadSubmission",
-  upload.single("file"),
+  authMiddleware,
+  uploadFile,
   gradingController.uploadSubmission
 );
 
+// Route for uploading a whole class's answer sheets as one PDF or a ZIP of PDFs
+router.post(
+  "/bulkUpload",
+  authMiddleware,
+  uploadFile,
+  gradingController.bulkUploadSubmissions
+);
+
+// Record typed MCQ answers and score them from the answer key
+router.post("/mcqAnswers", authMiddleware, gradingController.submitMcqAnswers);
+
+// Route for polling the status of a queued submission
+router.get("/jobs/:jobId", authMiddleware, gradingController.getJobStatus);
+
+// Re-run a failed submission
+router.post("/jobs/:jobId/retry", authMiddleware, gradingController.retryJob);
+
+// List and re-run failed submissions for an assignment
+router.get(
+  "/assignments/:assignmentId/failed",
+  authMiddleware,
+  gradingController.getFailedSubmissions
+);
+router.post(
+  "/assignments/:assignmentId/failed/retry",
+  authMiddleware,
+  gradingController.retryFailedSubmissions
+);
+
 module.exports = router;
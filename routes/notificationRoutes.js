@@ -0,0 +1,33 @@
+/**
+ * Notification Routes
+ * Routes for result notifications to students and parents
+ */
+const express = require("express");
+const notificationController = require("../controllers/notificationController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Protect all notification routes with authentication
+router.use(authMiddleware);
+
+// Per-class opt-in, channel and message template
+router.get(
+  "/classes/:classId/settings",
+  notificationController.getClassSettings
+);
+router.put(
+  "/classes/:classId/settings",
+  notificationController.updateClassSettings
+);
+
+// Delivery log for a class
+router.get("/classes/:classId/log", notificationController.getClassLog);
+
+// Send a student their result by hand
+router.post(
+  "/assignments/:assignmentId/students/:studentId",
+  notificationController.sendResult
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Result Routes
+ * Routes for sharing student results through public links
+ */
+const express = require("express");
+const resultController = require("../controllers/resultController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Public: view a shared result (no authentication)
+router.get("/shared/:token", resultController.getSharedResult);
+
+// Create or revoke a student's result link
+router.post(
+  "/:assignmentId/students/:studentId/share",
+  authMiddleware,
+  resultController.createShareLink
+);
+router.delete(
+  "/:assignmentId/students/:studentId/share",
+  authMiddleware,
+  resultController.revokeShareLink
+);
+
+module.exports = router;
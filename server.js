@@ -7,6 +7,11 @@ const cors = require("cors");
 const connectDatabase = require("./config/database");
 const config = require("./config/env");
 const Student = require("./models/studentModel");
+const Question = require("./models/questionModel");
+const Teacher = require("./models/teacherModel");
+const gradingQueue = require("./services/gradingQueue");
+const classCleanup = require("./services/classCleanup");
+const assignmentSchedule = require("./services/assignmentSchedule");
 
 // Import routes
 const authRoutes = require("./routes/authRoutes");
@@ -15,6 +20,8 @@ const classRoutes = require("./routes/classRoutes");
 const assignmentRoutes = require("./routes/assignmentRoutes");
 const draftRoutes = require("./routes/draftRoutes");
 const gradingRoutes = require("./routes/gradingRoutes");
+const resultRoutes = require("./routes/resultRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
 
 // Initialize express app
 const app = express();
@@ -59,6 +66,11 @@ app.use(cors(corsOptions));
 // Middleware
 app.use(express.json());
 
+// Serve locally stored submission files
+if (config.STORAGE_BACKEND === "local") {
+  app.use("/uploads", express.static(config.LOCAL_STORAGE_DIR));
+}
+
 // Enhanced logging middleware
 app.use((req, res, next) => {
   const startTime = new Date();
@@ -122,6 +134,29 @@ connectDatabase()
     } catch (error) {
       console.error("Error during index cleanup:", error);
     }
+
+    // Convert free-text rubrics left from before rubrics were structured
+    Promise.all([
+      Question.migrateLegacyRubrics(),
+      Teacher.migrateLegacyDraftRubrics(),
+    ])
+      .then(([questions, teachers]) =>
+        console.log(
+          `Migrated legacy rubrics: ${questions} questions, ${teachers} teachers' drafts`
+        )
+      )
+      .catch((err) => console.error("Error migrating legacy rubrics:", err));
+
+    // Start processing queued submissions
+    gradingQueue
+      .start()
+      .catch((err) => console.error("Error starting grading queue:", err));
+
+    // Purge deleted classes once their recovery window has passed
+    classCleanup.start();
+
+    // Deactivate assignments once their submission window closes
+    assignmentSchedule.start();
   })
   .catch((err) => {
     console.error("Database connection failed:", err);
@@ -140,6 +175,8 @@ app.use("/api/v1/classes", classRoutes);
 app.use("/api/v1/assignments", assignmentRoutes);
 app.use("/api/v1/drafts", draftRoutes);
 app.use("/api/v1/grading", gradingRoutes);
+app.use("/api/v1/results", resultRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
 
 // Debug route for auth verification - can help diagnose issues
 app.get("/api/v1/auth/verify-debug", (req, res) => {
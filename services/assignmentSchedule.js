@@ -0,0 +1,44 @@
+/**
+ * Assignment Schedule
+ * Makes assignments inactive once their submission window closes
+ */
+const Assignment = require("../models/assignmentModel");
+
+// How often to look for assignments whose window has closed
+const SCHEDULE_INTERVAL_MS = 60 * 1000;
+
+let scheduleTimer = null;
+
+/**
+ * Deactivate every active assignment whose close date has passed
+ * @returns {Promise<Number>} How many assignments were closed
+ */
+const closeExpiredAssignments = async () => {
+  const { modifiedCount } = await Assignment.updateMany(
+    { active: true, closeDate: { $lte: new Date() } },
+    { $set: { active: false } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`[assignmentSchedule] Closed ${modifiedCount} assignments`);
+  }
+  return modifiedCount;
+};
+
+/**
+ * Start closing assignments periodically
+ */
+const start = () => {
+  const run = () =>
+    closeExpiredAssignments().catch((err) =>
+      console.error("[assignmentSchedule] Error closing assignments:", err)
+    );
+  if (!scheduleTimer) {
+    scheduleTimer = setInterval(run, SCHEDULE_INTERVAL_MS);
+  }
+  run();
+};
+
+module.exports = {
+  closeExpiredAssignments,
+  start,
+};
@@ -0,0 +1,100 @@
+/**
+ * Class Cleanup
+ * Permanently removes deleted classes once their recovery window has passed
+ */
+const config = require("../config/env");
+const Class = require("../models/classModel");
+const Teacher = require("../models/teacherModel");
+const Student = require("../models/studentModel");
+const Assignment = require("../models/assignmentModel");
+const Question = require("../models/questionModel");
+const gradingQueue = require("./gradingQueue");
+
+// How often to look for expired classes
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+/**
+ * When a deleted class will be purged
+ * @param {Object} classData - Class document with deletedAt set
+ * @returns {Date}
+ */
+const purgeDate = (classData) =>
+  new Date(
+    classData.deletedAt.getTime() +
+      config.CLASS_DELETE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+/**
+ * Delete a class and everything that belongs to it: its assignments and their
+ * questions and jobs, student memberships and entries, and the teacher's reference.
+ * Student records themselves are kept, as they may belong to other classes.
+ * @param {Object} classData - Class document
+ */
+const purgeClass = async (classData) => {
+  const assignmentIds = classData.assignments;
+  const assignments = await Assignment.find({ _id: { $in: assignmentIds } });
+  const questionIds = assignments.flatMap((a) => [
+    ...a.questions,
+    ...a.archivedQuestions,
+  ]);
+
+  await Student.updateMany(
+    { classes: classData._id },
+    {
+      $pull: {
+        classes: classData._id,
+        assignments: { assignment: { $in: assignmentIds } },
+      },
+    }
+  );
+  await Teacher.updateMany(
+    { classes: classData._id },
+    { $pull: { classes: classData._id } }
+  );
+  await gradingQueue.removeJobs({ assignment: { $in: assignmentIds } });
+  await Assignment.deleteMany({ _id: { $in: assignmentIds } });
+  await Question.deleteUnreferenced(questionIds);
+  await Class.deleteOne({ _id: classData._id });
+
+  console.log(
+    `[classCleanup] Purged class ${classData._id} with ${assignmentIds.length} assignments`
+  );
+};
+
+/**
+ * Purge every deleted class whose recovery window has passed
+ * @returns {Promise<Number>} How many classes were purged
+ */
+const purgeExpiredClasses = async () => {
+  const cutoff = new Date(
+    Date.now() - config.CLASS_DELETE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  const expired = await Class.find({ deletedAt: { $lte: cutoff } });
+  for (const classData of expired) {
+    await purgeClass(classData);
+  }
+  return expired.length;
+};
+
+/**
+ * Start purging expired classes periodically
+ */
+const start = () => {
+  const run = () =>
+    purgeExpiredClasses().catch((err) =>
+      console.error("[classCleanup] Error purging classes:", err)
+    );
+  if (!purgeTimer) {
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  }
+  run();
+};
+
+module.exports = {
+  purgeDate,
+  purgeClass,
+  purgeExpiredClasses,
+  start,
+};
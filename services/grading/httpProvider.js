@@ -0,0 +1,52 @@
+/**
+ * HTTP Grading Provider
+ * Sends answers to an external model service for grading
+ */
+const axios = require("axios");
+const config = require("../../config/env");
+
+// Checked when the provider loads so a misconfigured server fails at startup
+// instead of on every upload
+if (!config.GRADING_API_URL) {
+  throw new Error(
+    "GRADING_API_URL is not defined. Set it to the grading service URL, or set GRADING_PROVIDER=mock"
+  );
+}
+
+/**
+ * Grade an answer through GRADING_API_URL.
+ * The service receives { question, rubric, imageUrl } and must reply with
+ * { steps: [{ step, marksAwarded, marksPossible, comment }], feedback, confidence },
+ * optionally with blank or unreadable set when it could not grade the answer.
+ * @param {Object} request - { question, rubric, imageUrl }
+ * @returns {Promise<Object>} { steps, feedback, confidence, blank, unreadable }
+ */
+const grade = async ({ question, rubric, imageUrl }) => {
+  const headers = { "Content-Type": "application/json" };
+  if (config.GRADING_API_TOKEN) {
+    headers.Authorization = `Bearer ${config.GRADING_API_TOKEN}`;
+  }
+
+  const response = await axios.post(
+    config.GRADING_API_URL,
+    { question, rubric, imageUrl },
+    { headers, timeout: config.GRADING_API_TIMEOUT_MS }
+  );
+
+  const data = response.data || {};
+  if (!Array.isArray(data.steps)) {
+    throw new Error("Grading service response is missing steps");
+  }
+  return {
+    steps: data.steps,
+    feedback: data.feedback || "",
+    confidence: typeof data.confidence === "number" ? data.confidence : null,
+    blank: Boolean(data.blank),
+    unreadable: Boolean(data.unreadable),
+  };
+};
+
+module.exports = {
+  name: "http",
+  grade,
+};
@@ -0,0 +1,156 @@
+/**
+ * Grading Engine
+ * Scores cropped answers against their question's rubric through the provider
+ * selected by GRADING_PROVIDER. Every provider exposes
+ * grade({ question, rubric, imageUrl }) → { steps, feedback, confidence,
+ * blank?, unreadable? }. Low-confidence, blank and unreadable answers are
+ * flagged for teacher review. With no GRADING_PROVIDER set, written answers
+ * are not graded automatically.
+ */
+const config = require("../../config/env");
+const {
+  findQuestionForResponse,
+  flagForReview,
+} = require("../../utils/gradingUtils");
+const { normalizeRubric } = require("../../utils/rubricUtils");
+
+const providers = {
+  mock: () => require("./mockProvider"),
+  http: () => require("./httpProvider"),
+};
+
+const loadProvider = providers[config.GRADING_PROVIDER];
+if (config.GRADING_PROVIDER && !loadProvider) {
+  throw new Error(
+    `Unknown GRADING_PROVIDER "${
+      config.GRADING_PROVIDER
+    }", expected one of: ${Object.keys(providers).join(", ")}`
+  );
+}
+const provider = loadProvider ? loadProvider() : null;
+
+/**
+ * Round marks to two decimal places
+ * @param {Number} marks
+ * @returns {Number}
+ */
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+/**
+ * Grade one answer, keeping the provider's marks within what each step
+ * and the question allow
+ * @param {Object} question - Question document
+ * @param {String} imageUrl - Cropped answer image
+ * @param {Object} [options] - { misnumbered } when the crop may belong to
+ *   another question
+ * @returns {Promise<Object>} { marks_awarded, steps, feedback, confidence }
+ *   and review flags, ready to set on a response
+ */
+const gradeAnswer = async (
+  question,
+  imageUrl,
+  { misnumbered = false } = {}
+) => {
+  if (!provider) {
+    throw new Error("Automatic grading is not configured (GRADING_PROVIDER)");
+  }
+  const maxMarks = question.maxMarks || 0;
+  const result = await provider.grade({
+    question: {
+      id: question._id.toString(),
+      text: question.text,
+      maxMarks,
+    },
+    rubric: normalizeRubric(question.rubric, maxMarks),
+    imageUrl,
+  });
+
+  const steps = result.steps.map((s) => {
+    const marksPossible = Math.max(0, Number(s.marksPossible) || 0);
+    return {
+      step: String(s.step || ""),
+      marks_awarded: roundMarks(
+        Math.min(Math.max(0, Number(s.marksAwarded) || 0), marksPossible)
+      ),
+      marks_possible: marksPossible,
+      comment: String(s.comment || ""),
+    };
+  });
+  const total = steps.reduce((sum, s) => sum + s.marks_awarded, 0);
+
+  const graded = {
+    marks_awarded: roundMarks(Math.min(total, maxMarks)),
+    steps,
+    feedback: result.feedback,
+    confidence:
+      typeof result.confidence === "number"
+        ? Math.min(Math.max(result.confidence, 0), 1)
+        : null,
+  };
+  flagForReview(graded, {
+    blank: Boolean(result.blank),
+    unreadable: Boolean(result.unreadable),
+    misnumbered,
+  });
+  return graded;
+};
+
+/**
+ * Grade every unscored written response in a submission. MCQ answers are
+ * left to the answer key, and nothing is graded without a provider. An
+ * answer the provider fails on is left unscored and flagged for review as
+ * grading_failed. Responses are updated in place.
+ * @param {Array<Object>} questions - Assignment questions, in order, with rubrics
+ * @param {Array<Object>} responses - Student responses
+ * @param {Object} [options] - { misnumbered } when the answers could not be
+ *   matched to questions reliably, flagging every one for review
+ * @returns {Promise<Number>} How many responses were graded
+ */
+const gradeResponses = async (
+  questions,
+  responses,
+  { misnumbered = false } = {}
+) => {
+  let graded = 0;
+  if (!provider) return graded;
+  for (const response of responses) {
+    if (
+      response.marks_awarded !== null &&
+      response.marks_awarded !== undefined
+    ) {
+      continue;
+    }
+    const question = findQuestionForResponse(questions, response.question_id);
+    if (!question || question.questionType === "mcq" || !response.image_url) {
+      continue;
+    }
+
+    try {
+      Object.assign(
+        response,
+        await gradeAnswer(question, response.image_url, { misnumbered })
+      );
+    } catch (err) {
+      // Keep the rest of the submission; the teacher marks this answer by hand
+      console.error(
+        `[gradeResponses] Could not grade question ${question._id}:`,
+        err.message
+      );
+      Object.assign(response, {
+        marks_awarded: null,
+        steps: [],
+        feedback: "",
+        confidence: null,
+      });
+      flagForReview(response, { gradingFailed: true, misnumbered });
+    }
+    graded++;
+  }
+  return graded;
+};
+
+module.exports = {
+  provider,
+  gradeAnswer,
+  gradeResponses,
+};
@@ -0,0 +1,57 @@
+/**
+ * Mock Grading Provider
+ * Scores answers deterministically without a model, so the grading flow can
+ * be run and tested offline. The same question and image always get the same marks.
+ */
+const crypto = require("crypto");
+
+/**
+ * Round marks down to the nearest half mark
+ * @param {Number} marks
+ * @returns {Number}
+ */
+const toHalfMarks = (marks) => Math.floor(marks * 2) / 2;
+
+/**
+ * "Grade" an answer from a hash of the question and image
+ * @param {Object} request - { question, rubric, imageUrl }
+ * @returns {Promise<Object>} { steps, feedback, confidence }
+ */
+const grade = async ({ question, rubric, imageUrl }) => {
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${question.id}:${imageUrl}`)
+    .digest();
+
+  const criteria =
+    rubric.criteria.length > 0
+      ? rubric.criteria
+      : [{ description: "Overall answer", marks: question.maxMarks }];
+
+  // Between half and full marks per criterion
+  const steps = criteria.map((criterion, i) => {
+    const share = 0.5 + digest[i % digest.length] / 510;
+    const marksAwarded = toHalfMarks(criterion.marks * share);
+    return {
+      step: criterion.description,
+      marksAwarded,
+      marksPossible: criterion.marks,
+      comment:
+        marksAwarded === criterion.marks
+          ? "Criterion fully met"
+          : "Criterion partly met",
+    };
+  });
+
+  const total = steps.reduce((sum, s) => sum + s.marksAwarded, 0);
+  return {
+    steps,
+    feedback: `Mock grading: ${total} of ${question.maxMarks} marks`,
+    confidence: Math.round((0.5 + digest[digest.length - 1] / 510) * 100) / 100,
+  };
+};
+
+module.exports = {
+  name: "mock",
+  grade,
+};
@@ -0,0 +1,282 @@
+/**
+ * Grading Queue
+ * Mongo-backed job queue that processes submissions outside the HTTP request.
+ * Uploaded PDFs are kept in storage and referenced from the job by key.
+ * A worker leases each job it claims and renews the lease while it works, so
+ * several server instances can share the queue without grading a job twice.
+ */
+const os = require("os");
+const crypto = require("crypto");
+const GradingJob = require("../models/gradingJobModel");
+const storage = require("./storage");
+
+// How often to look for jobs queued by other server instances
+const POLL_INTERVAL_MS =
+  parseInt(process.env.GRADING_QUEUE_POLL_MS, 10) || 5000;
+
+// How long a claimed job is held before another worker may reclaim it
+const LEASE_MS = parseInt(process.env.GRADING_JOB_LEASE_MS, 10) || 5 * 60000;
+
+// How many times a job may be claimed before it is failed instead of run
+// again, so a submission that keeps stopping its worker is not retried forever
+const MAX_ATTEMPTS = parseInt(process.env.GRADING_JOB_MAX_ATTEMPTS, 10) || 3;
+
+// Identifies this worker as the holder of a job's lease
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomUUID()
+  .slice(0, 8)}`;
+
+let processor = null;
+let abandonHandler = null;
+let draining = false;
+let pollTimer = null;
+
+/**
+ * Register the function that processes a claimed job.
+ * It receives the job and its PDF bytes and resolves with the job result.
+ * onAbandon is called instead for a job that ran out of attempts.
+ * @param {Function} fn - async (job, file) => result
+ * @param {Function} [onAbandon] - async (job, error) => void
+ */
+const registerProcessor = (fn, onAbandon = null) => {
+  processor = fn;
+  abandonHandler = onAbandon;
+};
+
+/**
+ * Delete a job's stored PDF, logging rather than throwing if that fails
+ * @param {String} fileKey - Storage key of the PDF
+ */
+const deleteJobFile = async (fileKey) => {
+  if (!fileKey) return;
+  try {
+    await storage.deleteSubmission(fileKey);
+  } catch (error) {
+    console.error(
+      `[gradingQueue] Could not delete submission file ${fileKey}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Atomically claim the oldest queued job, or a processing job whose worker
+ * stopped renewing its lease
+ * @returns {Promise<Object|null>} The claimed job, or null if none are waiting
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return GradingJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued" },
+        { status: "processing", lockedUntil: { $not: { $gt: now } } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        startedAt: now,
+        workerId: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Extend this worker's lease on a job
+ * @param {Object} job - The claimed job document
+ */
+const renewLease = async (job) => {
+  try {
+    await GradingJob.updateOne(
+      { _id: job._id, workerId: WORKER_ID, status: "processing" },
+      { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+    );
+  } catch (error) {
+    console.error(
+      `[gradingQueue] Could not renew lease on job ${job._id}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Record the outcome of a claimed job, unless the lease was lost to another
+ * worker in the meantime
+ * @param {Object} job - The claimed job document
+ * @param {Object} outcome - Fields to set on the job
+ * @returns {Promise<Boolean>} Whether the outcome was recorded
+ */
+const recordOutcome = async (job, outcome) => {
+  const { modifiedCount } = await GradingJob.updateOne(
+    { _id: job._id, workerId: WORKER_ID, status: "processing" },
+    { $set: { ...outcome, workerId: null, lockedUntil: null } }
+  );
+  if (modifiedCount === 0) {
+    console.warn(
+      `[gradingQueue] Lost the lease on job ${job._id}; its outcome was not recorded`
+    );
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Fail a job that has been claimed too many times without finishing
+ * @param {Object} job - The claimed job document
+ */
+const abandonJob = async (job) => {
+  const error = `Grading did not finish after ${MAX_ATTEMPTS} attempts`;
+  console.error(`[gradingQueue] Job ${job._id} abandoned: ${error}`);
+  const recorded = await recordOutcome(job, {
+    status: "failed",
+    error,
+    completedAt: new Date(),
+  });
+  if (recorded && abandonHandler) {
+    try {
+      await abandonHandler(job, error);
+    } catch (handlerError) {
+      console.error(
+        `[gradingQueue] Could not mark job ${job._id} as failed:`,
+        handlerError.message
+      );
+    }
+  }
+};
+
+/**
+ * Run a single claimed job and record its outcome
+ * @param {Object} job - The claimed job document
+ */
+const runJob = async (job) => {
+  if (job.attempts > MAX_ATTEMPTS) {
+    await abandonJob(job);
+    return;
+  }
+
+  const heartbeat = setInterval(() => renewLease(job), LEASE_MS / 3);
+  const outcome = { error: "", completedAt: null };
+  try {
+    if (!job.fileKey) {
+      throw new Error("Submission file is missing, upload it again");
+    }
+    const file = await storage.readSubmission(job.fileKey);
+    outcome.result = await processor(job, file);
+    outcome.status = "completed";
+  } catch (error) {
+    console.error(`[gradingQueue] Job ${job._id} failed:`, error.message);
+    outcome.status = "failed";
+    outcome.error = error.message;
+  } finally {
+    clearInterval(heartbeat);
+  }
+  outcome.completedAt = new Date();
+  // Failed jobs keep their file so they can be retried
+  if (outcome.status === "completed") {
+    outcome.fileKey = null;
+  }
+
+  if (!(await recordOutcome(job, outcome))) return;
+  if (outcome.status === "completed") {
+    await deleteJobFile(job.fileKey);
+  }
+};
+
+/**
+ * Process queued jobs one at a time until none are left
+ */
+const drain = async () => {
+  if (draining || !processor) return;
+  draining = true;
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      console.log(`[gradingQueue] Processing job ${job._id}`);
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error("[gradingQueue] Error draining queue:", error);
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Store a submission, add it to the queue and start processing in the
+ * background. Files of earlier failed jobs for the same student and
+ * assignment are deleted, since the new upload supersedes them.
+ * @param {Object} data - student, assignment, file (PDF bytes) and fileName
+ * @returns {Promise<Object>} The created job
+ */
+const enqueue = async ({ file, ...data }) => {
+  const fileKey = await storage.saveSubmission(file);
+  const superseded = await GradingJob.find({
+    student: data.student,
+    assignment: data.assignment,
+    status: "failed",
+    fileKey: { $ne: null },
+  });
+
+  const job = await GradingJob.create({ ...data, fileKey, status: "queued" });
+  for (const oldJob of superseded) {
+    await GradingJob.updateOne(
+      { _id: oldJob._id },
+      { $set: { fileKey: null } }
+    );
+    await deleteJobFile(oldJob.fileKey);
+  }
+  setImmediate(drain);
+  return job;
+};
+
+/**
+ * Put a failed job back on the queue with a fresh set of attempts
+ * @param {String} jobId - ID of the failed job
+ * @returns {Promise<Object|null>} The requeued job, or null if it was not failed
+ */
+const retry = async (jobId) => {
+  const job = await GradingJob.findOneAndUpdate(
+    { _id: jobId, status: "failed" },
+    { $set: { status: "queued", error: "", attempts: 0 } },
+    { new: true }
+  );
+  if (job) setImmediate(drain);
+  return job;
+};
+
+/**
+ * Delete jobs and their stored files
+ * @param {Object} filter - Query matching the jobs to delete
+ */
+const removeJobs = async (filter) => {
+  const jobs = await GradingJob.find(filter).select("fileKey");
+  for (const job of jobs) {
+    await deleteJobFile(job.fileKey);
+  }
+  await GradingJob.deleteMany({ _id: { $in: jobs.map((job) => job._id) } });
+};
+
+/**
+ * Start the worker. Jobs left "processing" by a stopped worker are picked up
+ * again once their lease expires.
+ */
+const start = async () => {
+  if (!pollTimer) {
+    pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+  }
+  drain();
+};
+
+module.exports = {
+  registerProcessor,
+  enqueue,
+  retry,
+  removeJobs,
+  start,
+};
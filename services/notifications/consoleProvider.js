@@ -0,0 +1,21 @@
+/**
+ * Console Notification Provider
+ * Logs messages instead of sending them, for development
+ */
+const crypto = require("crypto");
+
+/**
+ * "Send" a message by logging it
+ * @param {Object} message - { to, channel, body }
+ * @returns {Promise<Object>} { providerMessageId }
+ */
+const send = async ({ to, channel, body }) => {
+  const providerMessageId = crypto.randomUUID();
+  console.log(`[notifications] ${channel} to ${to}:\n${body}`);
+  return { providerMessageId };
+};
+
+module.exports = {
+  name: "console",
+  send,
+};
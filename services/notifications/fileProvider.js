@@ -0,0 +1,34 @@
+/**
+ * File Notification Provider
+ * Appends messages to a JSON-lines file instead of sending them, for testing
+ */
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config/env");
+
+/**
+ * "Send" a message by appending it to NOTIFICATION_FILE
+ * @param {Object} message - { to, channel, body }
+ * @returns {Promise<Object>} { providerMessageId }
+ */
+const send = async ({ to, channel, body }) => {
+  const providerMessageId = crypto.randomUUID();
+  await fs.mkdir(path.dirname(config.NOTIFICATION_FILE), { recursive: true });
+  await fs.appendFile(
+    config.NOTIFICATION_FILE,
+    JSON.stringify({
+      id: providerMessageId,
+      to,
+      channel,
+      body,
+      sentAt: new Date().toISOString(),
+    }) + "\n"
+  );
+  return { providerMessageId };
+};
+
+module.exports = {
+  name: "file",
+  send,
+};
@@ -0,0 +1,156 @@
+/**
+ * Notifications
+ * Sends students their results over WhatsApp/SMS through the provider
+ * selected by NOTIFICATION_PROVIDER. Every provider exposes send({ to, channel, body }).
+ */
+const config = require("../../config/env");
+const Assignment = require("../../models/assignmentModel");
+const Class = require("../../models/classModel");
+const Student = require("../../models/studentModel");
+const NotificationLog = require("../../models/notificationLogModel");
+const {
+  buildResultSummary,
+  isShareActive,
+} = require("../../utils/gradingUtils");
+const { issueShareLink } = require("../../utils/shareLinks");
+
+const providers = {
+  console: () => require("./consoleProvider"),
+  file: () => require("./fileProvider"),
+  webhook: () => require("./webhookProvider"),
+};
+
+const loadProvider = providers[config.NOTIFICATION_PROVIDER];
+if (!loadProvider) {
+  throw new Error(
+    `Unknown NOTIFICATION_PROVIDER "${
+      config.NOTIFICATION_PROVIDER
+    }", expected one of: ${Object.keys(providers).join(", ")}`
+  );
+}
+const provider = loadProvider();
+
+// Used when a class has not set its own template
+const DEFAULT_TEMPLATE =
+  "Hi {{studentName}}, your result for {{assignmentTitle}} is {{score}}/{{maxScore}} ({{percentage}}%). View details: {{resultUrl}}";
+
+/**
+ * Fill {{placeholders}} in a message template
+ * @param {String} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {String} The message
+ */
+const renderTemplate = (template, values) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : ""
+  );
+
+/**
+ * Send a student their published result for an assignment, if their class has opted in.
+ * Every attempt is recorded in the notification log.
+ * @param {String} studentId - Student ID
+ * @param {String} assignmentId - Assignment ID
+ * @param {Object} [options] - { force } sends even if the class has not opted in
+ * @returns {Promise<Object>} { sent, reason?, log? }
+ */
+const notifyResult = async (
+  studentId,
+  assignmentId,
+  { force = false } = {}
+) => {
+  const classData = await Class.findOne({
+    assignments: assignmentId,
+    students: studentId,
+    deletedAt: null,
+  });
+  if (!classData) return { sent: false, reason: "Class not found" };
+
+  const settings = classData.notifications || {};
+  if (!settings.enabled && !force) {
+    return {
+      sent: false,
+      reason: "Notifications are not enabled for this class",
+    };
+  }
+
+  const student = await Student.findById(studentId);
+  const studentAssignment = student?.assignments.find(
+    (a) => a.assignment.toString() === assignmentId.toString()
+  );
+  if (!studentAssignment) {
+    return { sent: false, reason: "Assignment not assigned to this student" };
+  }
+  if (!studentAssignment.published) {
+    return { sent: false, reason: "Result has not been published" };
+  }
+  if (!student.mobileNo) {
+    return { sent: false, reason: "Student has no mobile number" };
+  }
+
+  const assignment = await Assignment.findById(assignmentId).populate(
+    "questions",
+    "text maxMarks"
+  );
+  if (!assignment) return { sent: false, reason: "Assignment not found" };
+
+  const template = settings.template || DEFAULT_TEMPLATE;
+
+  // Only issue a result link if the message will include it
+  if (
+    /{{\s*resultUrl\s*}}/.test(template) &&
+    !isShareActive(studentAssignment)
+  ) {
+    issueShareLink(studentAssignment, student._id);
+    await student.save();
+  }
+
+  const summary = buildResultSummary(assignment, student, studentAssignment);
+  const body = renderTemplate(template, {
+    studentName: summary.studentName,
+    rollNo: summary.rollNo,
+    className: classData.title,
+    assignmentTitle: summary.assignmentTitle,
+    score: summary.totalScore,
+    maxScore: summary.maxScore,
+    percentage: summary.percentage,
+    resultUrl: studentAssignment.sharedUrl,
+  });
+
+  const message = {
+    to: student.mobileNo,
+    channel: settings.channel || "whatsapp",
+    body,
+  };
+  const log = {
+    student: student._id,
+    class: classData._id,
+    assignment: assignment._id,
+    ...message,
+    provider: provider.name,
+  };
+
+  try {
+    const { providerMessageId } = await provider.send(message);
+    const entry = await NotificationLog.create({
+      ...log,
+      status: "sent",
+      providerMessageId,
+    });
+    return { sent: true, log: entry };
+  } catch (error) {
+    console.error("[notifications] Error sending result:", error.message);
+    const entry = await NotificationLog.create({
+      ...log,
+      status: "failed",
+      error: error.message,
+    });
+    return { sent: false, reason: error.message, log: entry };
+  }
+};
+
+module.exports = {
+  provider,
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  notifyResult,
+};
@@ -0,0 +1,34 @@
+/**
+ * Webhook Notification Provider
+ * Posts messages to a WhatsApp/SMS gateway over HTTP
+ */
+const axios = require("axios");
+const config = require("../../config/env");
+
+/**
+ * Send a message through NOTIFICATION_WEBHOOK_URL
+ * @param {Object} message - { to, channel, body }
+ * @returns {Promise<Object>} { providerMessageId }
+ */
+const send = async ({ to, channel, body }) => {
+  if (!config.NOTIFICATION_WEBHOOK_URL) {
+    throw new Error("NOTIFICATION_WEBHOOK_URL is not defined");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (config.NOTIFICATION_WEBHOOK_TOKEN) {
+    headers.Authorization = `Bearer ${config.NOTIFICATION_WEBHOOK_TOKEN}`;
+  }
+
+  const response = await axios.post(
+    config.NOTIFICATION_WEBHOOK_URL,
+    { to, channel, body },
+    { headers, timeout: 30000 }
+  );
+  return { providerMessageId: response.data?.id || "" };
+};
+
+module.exports = {
+  name: "webhook",
+  send,
+};
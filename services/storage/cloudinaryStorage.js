@@ -0,0 +1,102 @@
+/**
+ * Cloudinary Storage
+ * Stores submission PDFs and images on Cloudinary
+ */
+const cloudinary = require("cloudinary").v2;
+const axios = require("axios");
+
+// Configure Cloudinary using environment variables
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+/**
+ * Upload a PDF and get a signed PNG URL for each of its pages
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<String>>} Page image URLs, in page order
+ */
+const uploadPdfPages = async (buffer) => {
+  // Upload PDF as an image resource to capture page count
+  const pdfDataUri = `data:application/pdf;base64,${buffer.toString("base64")}`;
+  const uploadResult = await cloudinary.uploader.upload(pdfDataUri, {
+    resource_type: "image",
+  });
+
+  // Generate URLs for each page
+  const urls = [];
+  for (let i = 1; i <= uploadResult.pages; i++) {
+    const url = cloudinary.url(uploadResult.public_id, {
+      resource_type: "image",
+      format: "png",
+      page: i,
+      sign_url: true,
+    });
+    urls.push(url);
+  }
+  return urls;
+};
+
+/**
+ * Upload a single image
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} [options] - { format } of the image, defaults to png
+ * @returns {Promise<String>} The image URL
+ */
+const uploadImage = async (buffer, { format = "png" } = {}) => {
+  const dataUri = `data:image/${format};base64,${buffer.toString("base64")}`;
+  const uploadResult = await cloudinary.uploader.upload(dataUri, {
+    resource_type: "image",
+  });
+  return uploadResult.secure_url;
+};
+
+// Submissions are raw files that can only be fetched with a signed URL
+const SUBMISSION_OPTIONS = { resource_type: "raw", type: "authenticated" };
+
+/**
+ * Keep an uploaded PDF until it has been processed
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<String>} Key (public ID) to read or delete the file with
+ */
+const saveSubmission = async (buffer) => {
+  const pdfDataUri = `data:application/pdf;base64,${buffer.toString("base64")}`;
+  const uploadResult = await cloudinary.uploader.upload(pdfDataUri, {
+    ...SUBMISSION_OPTIONS,
+    folder: "submissions",
+  });
+  return uploadResult.public_id;
+};
+
+/**
+ * Download a stored submission
+ * @param {String} key - Key returned by saveSubmission
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const readSubmission = async (key) => {
+  const url = cloudinary.url(key, {
+    ...SUBMISSION_OPTIONS,
+    sign_url: true,
+    secure: true,
+  });
+  const response = await axios.get(url, { responseType: "arraybuffer" });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Delete a stored submission
+ * @param {String} key - Key returned by saveSubmission
+ */
+const deleteSubmission = async (key) => {
+  await cloudinary.uploader.destroy(key, SUBMISSION_OPTIONS);
+};
+
+module.exports = {
+  name: "cloudinary",
+  uploadPdfPages,
+  uploadImage,
+  saveSubmission,
+  readSubmission,
+  deleteSubmission,
+};
@@ -0,0 +1,24 @@
+/**
+ * Storage
+ * Selects the storage backend for submission files from STORAGE_BACKEND.
+ * Every backend exposes uploadPdfPages(buffer) and uploadImage(buffer, options),
+ * plus saveSubmission(buffer), readSubmission(key) and deleteSubmission(key)
+ * to keep an uploaded PDF privately until the grading queue has processed it.
+ */
+const config = require("../../config/env");
+
+const backends = {
+  cloudinary: () => require("./cloudinaryStorage"),
+  local: () => require("./localStorage"),
+};
+
+const loadBackend = backends[config.STORAGE_BACKEND];
+if (!loadBackend) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${
+      config.STORAGE_BACKEND
+    }", expected one of: ${Object.keys(backends).join(", ")}`
+  );
+}
+
+module.exports = loadBackend();
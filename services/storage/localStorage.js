@@ -0,0 +1,94 @@
+/**
+ * Local Storage
+ * Stores submission images on the local filesystem and serves them from /uploads
+ */
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config/env");
+const { rasterizePdf } = require("../../utils/pdfUtils");
+
+/**
+ * Write a file under the storage directory and return its public URL
+ * @param {Buffer} buffer - File bytes
+ * @param {String} fileName - Name relative to the storage directory
+ * @returns {Promise<String>} The file URL
+ */
+const writeFile = async (buffer, fileName) => {
+  const filePath = path.join(config.LOCAL_STORAGE_DIR, fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return `${config.LOCAL_STORAGE_URL}/${fileName.split(path.sep).join("/")}`;
+};
+
+/**
+ * Rasterize a PDF locally and store a PNG for each of its pages
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<String>>} Page image URLs, in page order
+ */
+const uploadPdfPages = async (buffer) => {
+  const folder = crypto.randomUUID();
+  const pages = await rasterizePdf(buffer);
+  return Promise.all(
+    pages.map((page, i) =>
+      writeFile(page, path.join(folder, `page-${i + 1}.png`))
+    )
+  );
+};
+
+/**
+ * Store a single image
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} [options] - { format } of the image, defaults to png
+ * @returns {Promise<String>} The image URL
+ */
+const uploadImage = async (buffer, { format = "png" } = {}) =>
+  writeFile(buffer, path.join("images", `${crypto.randomUUID()}.${format}`));
+
+/**
+ * Path of a stored submission, refusing keys that leave the submission directory
+ * @param {String} key - Key returned by saveSubmission
+ * @returns {String} Absolute file path
+ */
+const submissionPath = (key) => {
+  if (!/^[\w-]+\.pdf$/.test(key)) {
+    throw new Error(`Invalid submission key: ${key}`);
+  }
+  return path.join(config.LOCAL_SUBMISSION_DIR, key);
+};
+
+/**
+ * Keep an uploaded PDF until it has been processed
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<String>} Key to read or delete the file with
+ */
+const saveSubmission = async (buffer) => {
+  const key = `${crypto.randomUUID()}.pdf`;
+  await fs.mkdir(config.LOCAL_SUBMISSION_DIR, { recursive: true });
+  await fs.writeFile(submissionPath(key), buffer);
+  return key;
+};
+
+/**
+ * Read a stored submission
+ * @param {String} key - Key returned by saveSubmission
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const readSubmission = async (key) => fs.readFile(submissionPath(key));
+
+/**
+ * Delete a stored submission; a file that is already gone is ignored
+ * @param {String} key - Key returned by saveSubmission
+ */
+const deleteSubmission = async (key) => {
+  await fs.rm(submissionPath(key), { force: true });
+};
+
+module.exports = {
+  name: "local",
+  uploadPdfPages,
+  uploadImage,
+  saveSubmission,
+  readSubmission,
+  deleteSubmission,
+};
@@ -0,0 +1,138 @@
+/**
+ * Tests for the review flags and late penalty rules
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../config/env");
+const {
+  flagForReview,
+  markReviewed,
+  countReviewItems,
+  getLatePenalty,
+  submissionWindowError,
+} = require("../utils/gradingUtils");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("flagForReview leaves a confident grade out of the queue", () => {
+  const response = { confidence: 1 };
+  flagForReview(response);
+
+  assert.strictEqual(response.needs_review, false);
+  assert.deepStrictEqual(response.review_reasons, []);
+});
+
+test("flagForReview flags a grade below the confidence threshold", () => {
+  const response = { confidence: config.REVIEW_CONFIDENCE_THRESHOLD - 0.01 };
+  flagForReview(response);
+
+  assert.strictEqual(response.needs_review, true);
+  assert.deepStrictEqual(response.review_reasons, ["low_confidence"]);
+});
+
+test("flagForReview does not treat a missing confidence as low", () => {
+  const response = { confidence: null };
+  flagForReview(response);
+
+  assert.strictEqual(response.needs_review, false);
+});
+
+test("flagForReview records every reason reported for an answer", () => {
+  const response = { confidence: null };
+  flagForReview(response, {
+    blank: true,
+    unreadable: true,
+    misnumbered: true,
+    gradingFailed: true,
+  });
+
+  assert.deepStrictEqual(response.review_reasons, [
+    "unreadable",
+    "blank",
+    "misnumbered",
+    "grading_failed",
+  ]);
+});
+
+test("flagForReview clears an earlier review", () => {
+  const response = { confidence: null };
+  flagForReview(response, { blank: true });
+  markReviewed(response, "teacher-1");
+  assert.strictEqual(response.needs_review, false);
+  assert.strictEqual(response.reviewed_by, "teacher-1");
+  assert.deepStrictEqual(response.review_reasons, ["blank"]);
+
+  flagForReview(response, { unreadable: true });
+  assert.strictEqual(response.needs_review, true);
+  assert.strictEqual(response.reviewed_by, undefined);
+  assert.strictEqual(response.reviewed_at, undefined);
+});
+
+test("countReviewItems counts only responses waiting for review", () => {
+  const entry = {
+    responses: [{ needs_review: true }, { needs_review: false }, {}],
+  };
+
+  assert.strictEqual(countReviewItems(entry), 1);
+  assert.strictEqual(countReviewItems(undefined), 0);
+});
+
+test("getLatePenalty charges nothing up to the due date", () => {
+  const dueDate = new Date("2026-03-01T12:00:00Z");
+  const assignment = { dueDate, latePenalty: { percent: 10 } };
+
+  assert.deepStrictEqual(getLatePenalty(assignment, dueDate), {
+    isLate: false,
+    daysLate: 0,
+    penaltyPercent: 0,
+  });
+});
+
+test("getLatePenalty charges per started day when perDay is set", () => {
+  const dueDate = new Date("2026-03-01T12:00:00Z");
+  const assignment = {
+    dueDate,
+    latePenalty: { percent: 10, perDay: true, maxPercent: 100 },
+  };
+  const submittedAt = new Date(dueDate.getTime() + 2 * DAY_MS + 1000);
+
+  assert.deepStrictEqual(getLatePenalty(assignment, submittedAt), {
+    isLate: true,
+    daysLate: 3,
+    penaltyPercent: 30,
+  });
+});
+
+test("getLatePenalty caps the penalty at maxPercent", () => {
+  const dueDate = new Date("2026-03-01T12:00:00Z");
+  const assignment = {
+    dueDate,
+    latePenalty: { percent: 20, perDay: true, maxPercent: 50 },
+  };
+  const submittedAt = new Date(dueDate.getTime() + 5 * DAY_MS);
+
+  assert.strictEqual(
+    getLatePenalty(assignment, submittedAt).penaltyPercent,
+    50
+  );
+});
+
+test("submissionWindowError refuses submissions outside the window", () => {
+  const assignment = {
+    openDate: new Date("2026-03-01T00:00:00Z"),
+    closeDate: new Date("2026-03-10T00:00:00Z"),
+  };
+
+  assert.strictEqual(
+    submissionWindowError(assignment, new Date("2026-02-28T00:00:00Z")),
+    "Assignment is not open for submissions yet"
+  );
+  assert.strictEqual(
+    submissionWindowError(assignment, new Date("2026-03-05T00:00:00Z")),
+    null
+  );
+  assert.strictEqual(
+    submissionWindowError(assignment, assignment.closeDate),
+    "Assignment is closed for submissions"
+  );
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for MCQ answer key validation and scoring
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeOptions,
+  validateMcqQuestion,
+  scoreMcqAnswer,
+  autoGradeMcqResponses,
+} = require("../utils/mcqUtils");
+
+const options = [
+  { key: "A", text: "One" },
+  { key: "B", text: "Two" },
+  { key: "C", text: "Three" },
+  { key: "D", text: "Four" },
+];
+
+test("normalizeOptions trims, upper-cases and removes duplicates", () => {
+  assert.deepStrictEqual(normalizeOptions([" a", "A", "b", ""]), ["A", "B"]);
+  assert.deepStrictEqual(normalizeOptions("c"), ["C"]);
+  assert.deepStrictEqual(normalizeOptions(undefined), []);
+});
+
+test("validateMcqQuestion rejects a key that is not an option", () => {
+  assert.strictEqual(
+    validateMcqQuestion({
+      questionType: "mcq",
+      options,
+      correctOptions: ["E"],
+    }),
+    "Correct options must be among the question's options"
+  );
+  assert.strictEqual(
+    validateMcqQuestion({
+      questionType: "mcq",
+      options,
+      correctOptions: ["a"],
+    }),
+    null
+  );
+  assert.strictEqual(validateMcqQuestion({ questionType: "written" }), null);
+});
+
+test("scoreMcqAnswer gives full marks for an exact match", () => {
+  const question = { maxMarks: 4, correctOptions: ["A", "C"] };
+  assert.strictEqual(scoreMcqAnswer(question, ["c", "a"]), 4);
+});
+
+test("scoreMcqAnswer scores a blank answer as zero", () => {
+  const question = { maxMarks: 4, correctOptions: ["A"], negativeMarks: 1 };
+  assert.strictEqual(scoreMcqAnswer(question, []), 0);
+});
+
+test("scoreMcqAnswer gives a share of the marks with partial credit", () => {
+  const question = {
+    maxMarks: 3,
+    correctOptions: ["A", "B", "C"],
+    partialCredit: true,
+  };
+  assert.strictEqual(scoreMcqAnswer(question, ["A"]), 1);
+  assert.strictEqual(scoreMcqAnswer(question, ["A", "B"]), 2);
+
+  const rounded = { ...question, maxMarks: 1 };
+  assert.strictEqual(scoreMcqAnswer(rounded, ["A"]), 0.33);
+});
+
+test("scoreMcqAnswer gives no partial credit unless it is enabled", () => {
+  const question = { maxMarks: 3, correctOptions: ["A", "B"] };
+  // No negative marks are set, so this comes back as -0
+  assert.ok(scoreMcqAnswer(question, ["A"]) === 0);
+});
+
+test("scoreMcqAnswer takes off negative marks for a wrong answer", () => {
+  const question = {
+    maxMarks: 4,
+    correctOptions: ["A", "B"],
+    partialCredit: true,
+    negativeMarks: 1,
+  };
+  assert.strictEqual(scoreMcqAnswer(question, ["C"]), -1);
+  // A wrong option alongside a right one is still wrong
+  assert.strictEqual(scoreMcqAnswer(question, ["A", "C"]), -1);
+});
+
+test("autoGradeMcqResponses scores MCQ responses in place", () => {
+  const questions = [
+    { _id: "q1", questionType: "mcq", maxMarks: 2, correctOptions: ["B"] },
+    { _id: "q2", questionType: "written", maxMarks: 5 },
+  ];
+  const responses = [
+    { question_id: "q1", selected_options: ["b"] },
+    { question_id: "q2", selected_options: [] },
+  ];
+
+  assert.strictEqual(autoGradeMcqResponses(questions, responses), 1);
+  assert.deepStrictEqual(responses[0], {
+    question_id: "q1",
+    selected_options: ["B"],
+    marks_awarded: 2,
+    max_marks: 2,
+    auto_graded: true,
+  });
+  assert.strictEqual(responses[1].marks_awarded, undefined);
+});
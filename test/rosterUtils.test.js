@@ -0,0 +1,157 @@
+/**
+ * Tests for reading and checking class rosters
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const XLSX = require("xlsx");
+const {
+  MOBILE_PATTERN,
+  parseRoster,
+  findRosterDuplicates,
+} = require("../utils/rosterUtils");
+
+/**
+ * Build a roster file from rows of cells
+ * @param {Array<Array>} rows - Sheet rows
+ * @param {String} bookType - "csv" or "xlsx"
+ * @returns {Buffer} File bytes
+ */
+const buildRoster = (rows, bookType) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows));
+  return Buffer.from(XLSX.write(workbook, { type: "buffer", bookType }));
+};
+
+/**
+ * Build a CSV roster from lines of text
+ * @param {Array<String>} lines - CSV lines
+ * @returns {Buffer} File bytes
+ */
+const csv = (lines) => Buffer.from(lines.join("\n"));
+
+test("parseRoster finds the header and reads each student", () => {
+  const roster = parseRoster(
+    csv([
+      "Class 7B roster,,",
+      "Roll No,Student Name,Phone",
+      "01,Asha Rao,09876543210",
+      "02,Ben Cole,+91 98765-43211",
+    ])
+  );
+
+  assert.strictEqual(roster.headerRow, 2);
+  assert.deepStrictEqual(roster.columns, {
+    full_name: 1,
+    mobileNo: 2,
+    rollNo: 0,
+  });
+  assert.deepStrictEqual(roster.students, [
+    { row: 3, full_name: "Asha Rao", mobileNo: "09876543210", rollNo: "01" },
+    { row: 4, full_name: "Ben Cole", mobileNo: "919876543211", rollNo: "02" },
+  ]);
+});
+
+test("parseRoster reads name, mobile and roll number by position without a header", () => {
+  const roster = parseRoster(csv(["Asha Rao,9876543210,7"]));
+
+  assert.strictEqual(roster.headerRow, null);
+  assert.deepStrictEqual(roster.students, [
+    { row: 1, full_name: "Asha Rao", mobileNo: "9876543210", rollNo: "7" },
+  ]);
+});
+
+test("parseRoster skips blank rows but keeps spreadsheet row numbers", () => {
+  const roster = parseRoster(
+    csv(["Name,Mobile", "Asha Rao,9876543210", ",", "Ben Cole,9876543211"])
+  );
+
+  assert.deepStrictEqual(
+    roster.students.map((s) => s.row),
+    [2, 4]
+  );
+});
+
+test("parseRoster writes numeric mobile cells out in full", () => {
+  const roster = parseRoster(
+    buildRoster(
+      [
+        ["Name", "Mobile"],
+        ["Asha Rao", 919876543210],
+      ],
+      "xlsx"
+    )
+  );
+
+  assert.strictEqual(roster.students[0].mobileNo, "919876543210");
+});
+
+test("parseRoster applies a column mapping by header name or index", () => {
+  const file = csv([
+    "Name,Phone,Guardian Phone,Ref",
+    "Asha Rao,9876543210,9876500000,R1",
+  ]);
+
+  const byName = parseRoster(file, {
+    mobileNo: "guardian phone",
+    rollNo: "Ref",
+  });
+  assert.deepStrictEqual(byName.columns, {
+    full_name: 0,
+    mobileNo: 2,
+    rollNo: 3,
+  });
+  assert.strictEqual(byName.students[0].mobileNo, "9876500000");
+  assert.strictEqual(byName.students[0].rollNo, "R1");
+
+  const byIndex = parseRoster(file, { mobileNo: "2" });
+  assert.strictEqual(byIndex.students[0].mobileNo, "9876500000");
+});
+
+test("parseRoster rejects a mapped column that does not exist", () => {
+  assert.throws(
+    () =>
+      parseRoster(csv(["Name,Mobile", "Asha Rao,9876543210"]), {
+        rollNo: "Roll",
+      }),
+    /Column "Roll" for rollNo was not found/
+  );
+});
+
+test("MOBILE_PATTERN accepts digits only", () => {
+  assert.ok(MOBILE_PATTERN.test("919876543210"));
+  assert.ok(!MOBILE_PATTERN.test("98765x3210"));
+  assert.ok(!MOBILE_PATTERN.test(""));
+});
+
+test("findRosterDuplicates reports repeated mobile numbers first", () => {
+  const result = findRosterDuplicates([
+    { mobileNo: "1", rollNo: "A" },
+    { mobileNo: "1", rollNo: "A" },
+  ]);
+
+  assert.deepStrictEqual(result, {
+    message: "Duplicate mobile numbers in your request",
+    duplicates: ["1"],
+  });
+});
+
+test("findRosterDuplicates reports repeated roll numbers, ignoring blanks", () => {
+  assert.strictEqual(
+    findRosterDuplicates([
+      { mobileNo: "1", rollNo: "" },
+      { mobileNo: "2", rollNo: " " },
+    ]),
+    null
+  );
+  assert.deepStrictEqual(
+    findRosterDuplicates([
+      { mobileNo: "1", rollNo: "7 " },
+      { mobileNo: "2", rollNo: "7" },
+    ]),
+    {
+      message: "Duplicate roll numbers in your request",
+      duplicates: ["7"],
+      type: "rollNo",
+    }
+  );
+});
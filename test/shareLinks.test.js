@@ -0,0 +1,102 @@
+/**
+ * Tests for signed result share links
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+const { issueShareLink, verifyShareToken } = require("../utils/shareLinks");
+const { isShareActive } = require("../utils/gradingUtils");
+
+const STUDENT_ID = "64b7f0c2a1b2c3d4e5f60718";
+const ASSIGNMENT_ID = "64b7f0c2a1b2c3d4e5f60719";
+
+/**
+ * Issue a link on a fresh entry and return the entry and the link's token
+ * @param {Number} [expiresInDays] - Link lifetime
+ * @returns {Object} { entry, token }
+ */
+const issue = (expiresInDays) => {
+  const entry = { assignment: ASSIGNMENT_ID };
+  const url = issueShareLink(entry, STUDENT_ID, expiresInDays);
+  return { entry, token: url.split("/").pop() };
+};
+
+test("issueShareLink stores an active link on the entry", () => {
+  const { entry } = issue(7);
+
+  assert.strictEqual(entry.isShared, true);
+  assert.ok(entry.sharedUrl.startsWith(`${config.SHARE_LINK_BASE_URL}/`));
+  assert.match(entry.shareId, /^[0-9a-f]{32}$/);
+  assert.strictEqual(isShareActive(entry), true);
+});
+
+test("verifyShareToken returns the student, assignment and share id", () => {
+  const { entry, token } = issue();
+  const payload = verifyShareToken(token);
+
+  assert.strictEqual(payload.studentId, STUDENT_ID);
+  assert.strictEqual(payload.assignmentId, ASSIGNMENT_ID);
+  assert.strictEqual(payload.shareId, entry.shareId);
+});
+
+test("a new link replaces the share id of the old one", () => {
+  const entry = { assignment: ASSIGNMENT_ID };
+  const first = verifyShareToken(
+    issueShareLink(entry, STUDENT_ID).split("/").pop()
+  );
+  issueShareLink(entry, STUDENT_ID);
+
+  assert.notStrictEqual(first.shareId, entry.shareId);
+});
+
+test("verifyShareToken rejects a tampered token", () => {
+  const { token } = issue();
+  const [header, , signature] = token.split(".");
+  const payload = Buffer.from(
+    JSON.stringify({ studentId: "someone-else", aud: "result-share" })
+  ).toString("base64url");
+
+  assert.throws(() => verifyShareToken(`${header}.${payload}.${signature}`), {
+    name: "JsonWebTokenError",
+  });
+});
+
+test("verifyShareToken rejects a token signed for another audience", () => {
+  const loginToken = jwt.sign(
+    { studentId: STUDENT_ID, assignmentId: ASSIGNMENT_ID },
+    config.SHARE_LINK_SECRET
+  );
+
+  assert.throws(() => verifyShareToken(loginToken), {
+    name: "JsonWebTokenError",
+    message: /audience/,
+  });
+});
+
+test("verifyShareToken rejects an expired token", () => {
+  const expired = jwt.sign(
+    {
+      studentId: STUDENT_ID,
+      assignmentId: ASSIGNMENT_ID,
+      exp: Math.floor(Date.now() / 1000) - 60,
+    },
+    config.SHARE_LINK_SECRET,
+    { audience: "result-share" }
+  );
+
+  assert.throws(() => verifyShareToken(expired), {
+    name: "TokenExpiredError",
+  });
+});
+
+test("isShareActive is false once the link has expired or been revoked", () => {
+  const { entry } = issue();
+
+  entry.shareExpiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(isShareActive(entry), false);
+
+  entry.shareExpiresAt = new Date(Date.now() + 60000);
+  entry.isShared = false;
+  assert.strictEqual(isShareActive(entry), false);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the score roll-up on a student's assignment entry
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const Student = require("../models/studentModel");
+
+/**
+ * Build an unsaved student assignment entry with the given responses
+ * @param {Array<Object>} responses - { marks_awarded, max_marks }
+ * @param {Number} [latePenaltyPercent] - Late penalty to apply
+ * @returns {Object} The entry subdocument
+ */
+const buildEntry = (responses, latePenaltyPercent = 0) => {
+  const student = new Student({
+    full_name: "Test Student",
+    assignments: [
+      {
+        assignment: new mongoose.Types.ObjectId(),
+        latePenaltyPercent,
+        responses: responses.map((r, i) => ({
+          question_id: `q${i + 1}`,
+          image_url: "page.png",
+          ...r,
+        })),
+      },
+    ],
+  });
+  return student.assignments[0];
+};
+
+test("calculateTotals adds up marks and max marks", () => {
+  const entry = buildEntry([
+    { marks_awarded: 3, max_marks: 5 },
+    { marks_awarded: 4.5, max_marks: 5 },
+  ]);
+
+  assert.deepStrictEqual(entry.calculateTotals(), {
+    totalScore: 7.5,
+    maxScore: 10,
+  });
+  assert.strictEqual(entry.rawScore, 7.5);
+});
+
+test("calculateTotals counts ungraded responses as zero", () => {
+  const entry = buildEntry([
+    { marks_awarded: 2, max_marks: 2 },
+    { marks_awarded: null, max_marks: 3 },
+  ]);
+
+  assert.deepStrictEqual(entry.calculateTotals(), {
+    totalScore: 2,
+    maxScore: 5,
+  });
+});
+
+test("calculateTotals applies the late penalty to the total only", () => {
+  const entry = buildEntry(
+    [
+      { marks_awarded: 7, max_marks: 10 },
+      { marks_awarded: 3, max_marks: 10 },
+    ],
+    15
+  );
+
+  entry.calculateTotals();
+  assert.strictEqual(entry.rawScore, 10);
+  assert.strictEqual(entry.totalScore, 8.5);
+  assert.strictEqual(entry.maxScore, 20);
+});
+
+test("calculateTotals rounds the penalised total to two decimals", () => {
+  const entry = buildEntry([{ marks_awarded: 1, max_marks: 1 }], 33.333);
+
+  entry.calculateTotals();
+  assert.strictEqual(entry.totalScore, 0.67);
+});
+
+test("calculateTotals keeps negative marking from going below zero", () => {
+  const entry = buildEntry(
+    [
+      { marks_awarded: 1, max_marks: 2 },
+      { marks_awarded: -1, max_marks: 2 },
+      { marks_awarded: -2, max_marks: 2 },
+    ],
+    10
+  );
+
+  entry.calculateTotals();
+  assert.strictEqual(entry.rawScore, 0);
+  assert.strictEqual(entry.totalScore, 0);
+  assert.strictEqual(entry.maxScore, 6);
+});
@@ -0,0 +1,163 @@
+/**
+ * Gradebook Utilities
+ * Build gradebook sheets of student marks for export
+ */
+const XLSX = require("xlsx");
+const { findResponseForQuestion } = require("./gradingUtils");
+
+/**
+ * Percentage rounded to two decimals
+ * @param {Number} score
+ * @param {Number} max
+ * @returns {Number|String} Percentage, or "" if there is nothing to score
+ */
+const toPercentage = (score, max) =>
+  max > 0 ? Math.round((score / max) * 10000) / 100 : "";
+
+/**
+ * Rows for one assignment: students as rows, questions as columns
+ * @param {Object} assignment - Assignment with questions populated
+ * @param {Array<Object>} students - Students in the class
+ * @returns {Array<Array>} Header row followed by one row per student
+ */
+const buildAssignmentRows = (assignment, students) => {
+  const maxScore = assignment.questions.reduce((t, q) => t + q.maxMarks, 0);
+  const header = [
+    "Roll No",
+    "Student Name",
+    "Status",
+    "Submitted On",
+    ...assignment.questions.map((q, i) => `Q${i + 1} (${q.maxMarks})`),
+    `Total (${maxScore})`,
+    "Percentage",
+  ];
+
+  const rows = students.map((student) => {
+    const entry = student.assignments.find(
+      (a) => a.assignment.toString() === assignment._id.toString()
+    );
+    if (!entry) {
+      return [student.rollNo, student.full_name, "not assigned"];
+    }
+
+    const marks = assignment.questions.map((question) => {
+      const response = findResponseForQuestion(
+        entry.responses,
+        assignment.questions,
+        question
+      );
+      return response && response.marks_awarded !== null
+        ? response.marks_awarded
+        : "";
+    });
+    const isScored = marks.some((m) => m !== "");
+
+    return [
+      student.rollNo,
+      student.full_name,
+      entry.status,
+      entry.submissionDate ? entry.submissionDate.toISOString() : "",
+      ...marks,
+      isScored ? entry.totalScore : "",
+      isScored ? toPercentage(entry.totalScore, maxScore) : "",
+    ];
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * Class summary rows: per student, total, percentage and status for each assignment
+ * @param {Array<Object>} assignments - Assignments with questions populated
+ * @param {Array<Object>} students - Students in the class
+ * @returns {Array<Array>} Header row followed by one row per student
+ */
+const buildSummaryRows = (assignments, students) => {
+  const maxScores = assignments.map((a) =>
+    a.questions.reduce((t, q) => t + q.maxMarks, 0)
+  );
+  const header = ["Roll No", "Student Name"];
+  assignments.forEach((a, i) => {
+    header.push(
+      `${a.title} (${maxScores[i]})`,
+      `${a.title} %`,
+      `${a.title} Status`
+    );
+  });
+  header.push(`Total (${maxScores.reduce((t, m) => t + m, 0)})`, "Overall %");
+
+  const rows = students.map((student) => {
+    const row = [student.rollNo, student.full_name];
+    let total = 0;
+    let totalMax = 0;
+    assignments.forEach((assignment, i) => {
+      const entry = student.assignments.find(
+        (a) => a.assignment.toString() === assignment._id.toString()
+      );
+      const isScored =
+        entry &&
+        entry.responses.some(
+          (r) => r.marks_awarded !== null && r.marks_awarded !== undefined
+        );
+      if (isScored) {
+        total += entry.totalScore;
+        totalMax += maxScores[i];
+      }
+      row.push(
+        isScored ? entry.totalScore : "",
+        isScored ? toPercentage(entry.totalScore, maxScores[i]) : "",
+        entry ? entry.status : "not assigned"
+      );
+    });
+    row.push(totalMax > 0 ? total : "", toPercentage(total, totalMax));
+    return row;
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * Make a title safe and unique as an Excel sheet name
+ * @param {String} title
+ * @param {Set<String>} used - Names already taken
+ * @returns {String}
+ */
+const toSheetName = (title, used) => {
+  const base = (title || "Sheet").replace(/[[\]:*?/\\]/g, " ").slice(0, 28);
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`;
+  used.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Build an .xlsx file from named sheets of rows
+ * @param {Array<{name:string, rows:Array<Array>}>} sheets
+ * @returns {Buffer} Workbook bytes
+ */
+const toXlsx = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach(({ name, rows }) => {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(rows),
+      toSheetName(name, used)
+    );
+  });
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+/**
+ * Build a CSV file from rows
+ * @param {Array<Array>} rows
+ * @returns {String} CSV text
+ */
+const toCsv = (rows) => XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+
+module.exports = {
+  buildAssignmentRows,
+  buildSummaryRows,
+  toXlsx,
+  toCsv,
+};
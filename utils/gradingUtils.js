@@ -0,0 +1,232 @@
+/**
+ * Grading Utilities
+ * Helpers shared by the grading and assignment controllers
+ */
+const config = require("../config/env");
+
+/**
+ * Find the assignment question a response belongs to.
+ * Responses coming back from the cropping service identify questions either
+ * by the Question _id or by their 1-based position in the assignment.
+ * @param {Array<Object>} questions - Assignment questions, in order
+ * @param {String} questionId - The response's question_id
+ * @returns {Object|undefined} The matching question, if any
+ */
+const findQuestionForResponse = (questions, questionId) => {
+  const id = String(questionId);
+  const byId = questions.find((q) => q._id.toString() === id);
+  if (byId) return byId;
+
+  // Fall back to question numbers such as "1" or "Q1"
+  const match = id.match(/^q?(\d+)$/i);
+  if (!match) return undefined;
+  const position = parseInt(match[1], 10);
+  return questions[position - 1];
+};
+
+/**
+ * Find a student's response to a given assignment question
+ * @param {Array<Object>} responses - The student assignment's responses
+ * @param {Array<Object>} questions - Assignment questions, in order
+ * @param {Object} question - The question to look for
+ * @returns {Object|undefined} The matching response, if any
+ */
+const findResponseForQuestion = (responses, questions, question) =>
+  responses.find((r) => {
+    const match = findQuestionForResponse(questions, r.question_id);
+    return match && match._id.toString() === question._id.toString();
+  });
+
+/**
+ * Format a stored response for API output
+ * @param {Object} response - A response subdocument
+ * @returns {Object} The response with camelCase keys
+ */
+const formatResponse = (response) => ({
+  questionId: response.question_id,
+  imageUrl: response.image_url,
+  marksAwarded: response.marks_awarded,
+  maxMarks: response.max_marks,
+  steps: (response.steps || []).map((s) => ({
+    text: s.step,
+    marksAwarded: s.marks_awarded,
+    marksPossible: s.marks_possible,
+    comment: s.comment,
+  })),
+  feedback: response.feedback,
+  selectedOptions: response.selected_options || [],
+  autoGraded: Boolean(response.auto_graded),
+  confidence: response.confidence !== undefined ? response.confidence : null,
+  needsReview: Boolean(response.needs_review),
+  reviewReasons: response.review_reasons || [],
+  reviewedAt: response.reviewed_at || null,
+});
+
+/**
+ * Build the student-facing summary of a graded assignment
+ * @param {Object} assignment - Assignment with its questions populated
+ * @param {Object} student - Student document
+ * @param {Object} studentAssignment - The student's assignment entry
+ * @returns {Object} Scores and feedback per question
+ */
+const buildResultSummary = (assignment, student, studentAssignment) => {
+  const maxScore = assignment.questions.reduce(
+    (total, q) => total + q.maxMarks,
+    0
+  );
+  const totalScore = studentAssignment.totalScore;
+
+  return {
+    assignmentTitle: assignment.title,
+    studentName: student.full_name,
+    rollNo: student.rollNo,
+    submissionDate: studentAssignment.submissionDate,
+    totalScore,
+    maxScore,
+    percentage:
+      maxScore > 0 ? Math.round((totalScore / maxScore) * 10000) / 100 : null,
+    questions: assignment.questions.map((question, index) => {
+      const response = findResponseForQuestion(
+        studentAssignment.responses,
+        assignment.questions,
+        question
+      );
+      const formatted = response ? formatResponse(response) : null;
+      return {
+        number: index + 1,
+        text: question.text,
+        maxMarks: question.maxMarks,
+        marksAwarded: formatted ? formatted.marksAwarded : null,
+        feedback: formatted ? formatted.feedback : "",
+        steps: formatted ? formatted.steps : [],
+        imageUrl: formatted ? formatted.imageUrl : null,
+      };
+    }),
+  };
+};
+
+/**
+ * Whether a student assignment has a result link that is still valid
+ * @param {Object} studentAssignment - The student's assignment entry
+ * @returns {Boolean}
+ */
+const isShareActive = (studentAssignment) =>
+  Boolean(
+    studentAssignment.isShared &&
+      studentAssignment.shareExpiresAt &&
+      studentAssignment.shareExpiresAt > new Date()
+  );
+
+/**
+ * Whether an assignment accepts submissions at a given time
+ * @param {Object} assignment - Assignment document
+ * @param {Date} [at] - Submission time, defaults to now
+ * @returns {String|null} Why submissions are refused, or null if they are accepted
+ */
+const submissionWindowError = (assignment, at = new Date()) => {
+  if (assignment.openDate && at < assignment.openDate) {
+    return "Assignment is not open for submissions yet";
+  }
+  if (assignment.closeDate && at >= assignment.closeDate) {
+    return "Assignment is closed for submissions";
+  }
+  return null;
+};
+
+/**
+ * Work out whether a submission is late and the penalty it carries
+ * @param {Object} assignment - Assignment document
+ * @param {Date} submittedAt - Submission time
+ * @returns {Object} { isLate, daysLate, penaltyPercent }
+ */
+const getLatePenalty = (assignment, submittedAt) => {
+  if (!assignment.dueDate || submittedAt <= assignment.dueDate) {
+    return { isLate: false, daysLate: 0, penaltyPercent: 0 };
+  }
+
+  const daysLate = Math.ceil(
+    (submittedAt - assignment.dueDate) / (24 * 60 * 60 * 1000)
+  );
+  const rule = assignment.latePenalty || {};
+  const percent = rule.percent || 0;
+  const penaltyPercent = Math.min(
+    rule.perDay ? percent * daysLate : percent,
+    rule.maxPercent !== undefined ? rule.maxPercent : 100
+  );
+  return { isLate: true, daysLate, penaltyPercent };
+};
+
+/**
+ * Flag an automatically graded response for teacher review when its
+ * confidence is below REVIEW_CONFIDENCE_THRESHOLD, its answer was blank or
+ * unreadable, it may have been cropped under the wrong question number, or
+ * the grader failed on it.
+ * Every automatic grade goes through here, so review rules live in one place.
+ * Any earlier review is cleared. The response is updated in place.
+ * @param {Object} response - Student response
+ * @param {Object} [flags] - { blank, unreadable } as reported by the grader,
+ *   { misnumbered } from the cropper, and { gradingFailed } when the grader
+ *   could not be reached or returned an error
+ */
+const flagForReview = (
+  response,
+  {
+    blank = false,
+    unreadable = false,
+    misnumbered = false,
+    gradingFailed = false,
+  } = {}
+) => {
+  const reasons = [];
+  if (
+    response.confidence !== null &&
+    response.confidence !== undefined &&
+    response.confidence < config.REVIEW_CONFIDENCE_THRESHOLD
+  ) {
+    reasons.push("low_confidence");
+  }
+  if (unreadable) reasons.push("unreadable");
+  if (blank) reasons.push("blank");
+  if (misnumbered) reasons.push("misnumbered");
+  if (gradingFailed) reasons.push("grading_failed");
+
+  response.review_reasons = reasons;
+  response.needs_review = reasons.length > 0;
+  response.reviewed_by = undefined;
+  response.reviewed_at = undefined;
+};
+
+/**
+ * Take a response out of the review queue once a teacher has checked it.
+ * Its review reasons are kept so reviewed responses can still be listed.
+ * @param {Object} response - Student response
+ * @param {String} teacherId - Teacher who reviewed it
+ */
+const markReviewed = (response, teacherId) => {
+  response.needs_review = false;
+  response.reviewed_by = teacherId;
+  response.reviewed_at = new Date();
+};
+
+/**
+ * How many of a student's responses are waiting for review
+ * @param {Object} [studentAssignment] - The student's assignment entry
+ * @returns {Number}
+ */
+const countReviewItems = (studentAssignment) =>
+  studentAssignment
+    ? studentAssignment.responses.filter((r) => r.needs_review).length
+    : 0;
+
+module.exports = {
+  findQuestionForResponse,
+  findResponseForQuestion,
+  formatResponse,
+  buildResultSummary,
+  isShareActive,
+  submissionWindowError,
+  getLatePenalty,
+  flagForReview,
+  markReviewed,
+  countReviewItems,
+};
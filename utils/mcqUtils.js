@@ -0,0 +1,111 @@
+/**
+ * MCQ Utilities
+ * Answer key validation and automatic scoring for multiple-choice questions
+ */
+const { findQuestionForResponse } = require("./gradingUtils");
+
+/**
+ * Normalise option keys so "a", " A" and "A" compare equal
+ * @param {Array<String>|String} keys - Option key or keys
+ * @returns {Array<String>} Unique, upper-cased keys
+ */
+const normalizeOptions = (keys) => {
+  const list = Array.isArray(keys) ? keys : keys ? [keys] : [];
+  return [
+    ...new Set(
+      list.map((k) => String(k).trim().toUpperCase()).filter((k) => k !== "")
+    ),
+  ];
+};
+
+/**
+ * Check an MCQ question's options and answer key
+ * @param {Object} question - Question fields
+ * @returns {String|null} What is wrong, or null if the question is valid
+ */
+const validateMcqQuestion = (question) => {
+  if (question.questionType !== "mcq") return null;
+
+  const keys = normalizeOptions((question.options || []).map((o) => o.key));
+  if (keys.length < 2 || keys.length !== (question.options || []).length) {
+    return "MCQ questions need at least two options with unique keys";
+  }
+  const correct = normalizeOptions(question.correctOptions);
+  if (correct.length === 0) {
+    return "MCQ questions need at least one correct option";
+  }
+  if (correct.some((k) => !keys.includes(k))) {
+    return "Correct options must be among the question's options";
+  }
+  if (question.negativeMarks < 0) {
+    return "negativeMarks cannot be below zero";
+  }
+  return null;
+};
+
+/**
+ * Score a student's selection for an MCQ question.
+ * An exact match earns full marks. With partial credit, picking only some of
+ * the correct options earns a share of them. Any other non-empty answer loses
+ * the question's negative marks; an unanswered question scores zero.
+ * @param {Object} question - Question with maxMarks and its answer key
+ * @param {Array<String>} selected - Option keys the student chose
+ * @returns {Number} Marks awarded, negative for a penalised wrong answer
+ */
+const scoreMcqAnswer = (question, selected) => {
+  const chosen = normalizeOptions(selected);
+  if (chosen.length === 0) return 0;
+
+  const correct = normalizeOptions(question.correctOptions);
+  const maxMarks = question.maxMarks || 0;
+  const allCorrect = chosen.every((k) => correct.includes(k));
+
+  if (allCorrect && chosen.length === correct.length) return maxMarks;
+  if (allCorrect && question.partialCredit) {
+    return (
+      Math.round(((maxMarks * chosen.length) / correct.length) * 100) / 100
+    );
+  }
+  return -(question.negativeMarks || 0);
+};
+
+/**
+ * Score every response that selects options for an MCQ question.
+ * Responses are updated in place and marked as auto-graded.
+ * @param {Array<Object>} questions - Assignment questions, in order, with answer keys
+ * @param {Array<Object>} responses - Student responses
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeBlank] - Also score responses with no
+ *   options selected, as when a bubble sheet row was read as empty
+ * @returns {Number} How many responses were scored
+ */
+const autoGradeMcqResponses = (
+  questions,
+  responses,
+  { includeBlank = false } = {}
+) => {
+  let graded = 0;
+  for (const response of responses) {
+    const question = findQuestionForResponse(questions, response.question_id);
+    if (!question || question.questionType !== "mcq") continue;
+    const selected = response.selected_options || [];
+    if (selected.length === 0 && !includeBlank) continue;
+
+    response.selected_options = normalizeOptions(selected);
+    response.marks_awarded = scoreMcqAnswer(
+      question,
+      response.selected_options
+    );
+    response.max_marks = question.maxMarks || 0;
+    response.auto_graded = true;
+    graded++;
+  }
+  return graded;
+};
+
+module.exports = {
+  normalizeOptions,
+  validateMcqQuestion,
+  scoreMcqAnswer,
+  autoGradeMcqResponses,
+};
@@ -0,0 +1,76 @@
+/**
+ * PDF Utilities
+ * Helpers for splitting and rasterizing scanned answer-sheet PDFs
+ */
+const { PDFDocument } = require("pdf-lib");
+const { fromBuffer } = require("pdf2pic");
+
+// Rasterization settings, roughly an A4 page at 200 DPI
+const RASTER_DENSITY = 200;
+const RASTER_WIDTH = 1654;
+
+/**
+ * Count the pages in a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Number>} Page count
+ */
+const getPdfPageCount = async (buffer) => {
+  const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  return pdf.getPageCount();
+};
+
+/**
+ * Split a PDF into several PDFs by page range
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Array<{startPage:number, endPage:number}>} ranges - 1-based, inclusive
+ * @returns {Promise<Array<Buffer>>} One PDF per range, in the same order
+ */
+const splitPdf = async (buffer, ranges) => {
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const pageCount = source.getPageCount();
+
+  const parts = [];
+  for (const { startPage, endPage } of ranges) {
+    if (
+      !Number.isInteger(startPage) ||
+      !Number.isInteger(endPage) ||
+      startPage < 1 ||
+      endPage < startPage ||
+      endPage > pageCount
+    ) {
+      throw new Error(
+        `Invalid page range ${startPage}-${endPage} for a ${pageCount} page PDF`
+      );
+    }
+
+    const part = await PDFDocument.create();
+    const pageIndices = [];
+    for (let i = startPage - 1; i < endPage; i++) pageIndices.push(i);
+    const pages = await part.copyPages(source, pageIndices);
+    pages.forEach((page) => part.addPage(page));
+    parts.push(Buffer.from(await part.save()));
+  }
+  return parts;
+};
+
+/**
+ * Render every page of a PDF to a PNG (requires GraphicsMagick and Ghostscript)
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Array<Buffer>>} PNG bytes for each page, in page order
+ */
+const rasterizePdf = async (buffer) => {
+  const convert = fromBuffer(buffer, {
+    density: RASTER_DENSITY,
+    width: RASTER_WIDTH,
+    preserveAspectRatio: true,
+    format: "png",
+  });
+  const pages = await convert.bulk(-1, { responseType: "buffer" });
+  return pages.sort((a, b) => a.page - b.page).map((page) => page.buffer);
+};
+
+module.exports = {
+  getPdfPageCount,
+  splitPdf,
+  rasterizePdf,
+};
@@ -0,0 +1,187 @@
+/**
+ * Roster Utilities
+ * Parse and validate class rosters from spreadsheets
+ */
+const XLSX = require("xlsx");
+
+// Header names recognised for each student field
+const HEADER_PATTERNS = {
+  full_name: /^(student[\s_]*)?(full[\s_]*)?name$|^student$/i,
+  mobileNo: /mobile|phone|contact|whats\s*app|cell/i,
+  rollNo: /roll|admission|enrol?ment|^id$/i,
+};
+
+// Rows scanned for a header before falling back to column order
+const HEADER_SEARCH_ROWS = 10;
+
+// A mobile number once spaces, dashes, brackets and a leading + are removed
+const MOBILE_PATTERN = /^\d+$/;
+
+/**
+ * Normalise a spreadsheet cell to a trimmed string.
+ * Cells are read raw, so a numeric mobile number arrives as a Number and is
+ * written out in full rather than in the sheet's display format (9.19877E+11).
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+const cellToString = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number" && Number.isSafeInteger(value)) {
+    return value.toFixed(0);
+  }
+  return String(value).trim();
+};
+
+/**
+ * Normalise a mobile number cell to its digits
+ * @param {*} value - Cell value
+ * @returns {String} The number, which may still fail MOBILE_PATTERN
+ */
+const normalizeMobile = (value) =>
+  cellToString(value)
+    .replace(/[\s\-()]/g, "")
+    .replace(/^\+/, "");
+
+/**
+ * Find the header row and the column of each student field
+ * @param {Array<Array>} rows - Sheet rows
+ * @returns {Object|null} { headerRow, columns } or null if no header was found
+ */
+const detectHeader = (rows) => {
+  const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+  for (let r = 0; r < limit; r++) {
+    const cells = rows[r].map(cellToString);
+    const columns = {};
+    for (const [field, pattern] of Object.entries(HEADER_PATTERNS)) {
+      const index = cells.findIndex(
+        (cell, i) =>
+          cell && pattern.test(cell) && !Object.values(columns).includes(i)
+      );
+      if (index !== -1) columns[field] = index;
+    }
+    if (columns.full_name !== undefined && columns.mobileNo !== undefined) {
+      return { headerRow: r, columns };
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve user-supplied column choices (header names or 0-based indexes)
+ * @param {Object} mapping - { full_name, mobileNo, rollNo }
+ * @param {Array} header - Header row cells, if any
+ * @returns {Object} Column index per field
+ */
+const resolveColumns = (mapping, header) => {
+  const columns = {};
+  for (const field of Object.keys(HEADER_PATTERNS)) {
+    const choice = mapping[field];
+    if (choice === undefined || choice === null || choice === "") continue;
+    const index =
+      typeof choice === "number" || /^\d+$/.test(String(choice))
+        ? parseInt(choice, 10)
+        : header.findIndex(
+            (cell) =>
+              cellToString(cell).toLowerCase() === String(choice).toLowerCase()
+          );
+    if (index < 0) {
+      throw new Error(`Column "${choice}" for ${field} was not found`);
+    }
+    columns[field] = index;
+  }
+  return columns;
+};
+
+/**
+ * Read students from the first sheet of an .xlsx or .csv roster.
+ * Without a recognisable header, columns are read as name, mobile, roll no.
+ * @param {Buffer} buffer - File bytes
+ * @param {Object} [mapping] - Optional column override per field
+ * @returns {Object} { headerRow, columns, students: [{ row, full_name, mobileNo, rollNo }] }
+ */
+const parseRoster = (buffer, mapping) => {
+  // raw keeps CSV values as text, so leading zeros and long numbers survive
+  const workbook = XLSX.read(buffer, { type: "buffer", raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error("The roster file has no sheets");
+  }
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    raw: true,
+    blankrows: true,
+  });
+
+  const detected = detectHeader(rows);
+  const headerRow = detected ? detected.headerRow : -1;
+  let columns = detected
+    ? detected.columns
+    : { full_name: 0, mobileNo: 1, rollNo: 2 };
+  if (mapping && Object.keys(mapping).length > 0) {
+    columns = {
+      ...columns,
+      ...resolveColumns(mapping, detected ? rows[headerRow] : []),
+    };
+  }
+
+  const students = rows
+    .slice(headerRow + 1)
+    .map((cells, i) => ({
+      // 1-based spreadsheet row number, for error messages
+      row: headerRow + i + 2,
+      full_name: cellToString(cells[columns.full_name]),
+      mobileNo: normalizeMobile(cells[columns.mobileNo]),
+      rollNo:
+        columns.rollNo !== undefined ? cellToString(cells[columns.rollNo]) : "",
+    }))
+    .filter((s) => s.full_name || s.mobileNo || s.rollNo);
+
+  return {
+    headerRow: headerRow === -1 ? null : headerRow + 1,
+    columns,
+    students,
+  };
+};
+
+/**
+ * Find duplicate mobile and roll numbers within a roster,
+ * using the same rules as class creation
+ * @param {Array<Object>} students - { mobileNo, rollNo }
+ * @returns {Object|null} { message, duplicates, type } or null if there are none
+ */
+const findRosterDuplicates = (students) => {
+  const mobileNumbers = students.map((student) => student.mobileNo);
+  const duplicatesInRequest = mobileNumbers.filter(
+    (item, index) => mobileNumbers.indexOf(item) !== index
+  );
+  if (duplicatesInRequest.length > 0) {
+    return {
+      message: "Duplicate mobile numbers in your request",
+      duplicates: duplicatesInRequest,
+    };
+  }
+
+  // Check for duplicate roll numbers (ignoring empty ones)
+  const nonEmptyRollNumbers = students
+    .filter((student) => student.rollNo?.trim())
+    .map((student) => student.rollNo.trim());
+  const duplicateRollNumbers = nonEmptyRollNumbers.filter(
+    (item, index) => nonEmptyRollNumbers.indexOf(item) !== index
+  );
+  if (duplicateRollNumbers.length > 0) {
+    return {
+      message: "Duplicate roll numbers in your request",
+      duplicates: duplicateRollNumbers,
+      type: "rollNo",
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  MOBILE_PATTERN,
+  parseRoster,
+  findRosterDuplicates,
+};
@@ -0,0 +1,149 @@
+/**
+ * Rubric Utilities
+ * Normalising, validating and migrating structured question rubrics
+ */
+
+// Marks mentioned in a legacy rubric line, e.g. "(2 marks)", "- 1 mark", "[3]"
+const LEGACY_MARKS_PATTERN =
+  /[(\[\-–:]\s*(\d+(?:\.\d+)?)\s*(?:marks?|m|pts?|points?)?\s*[)\]]?\s*$/i;
+
+/**
+ * An empty rubric
+ * @returns {Object}
+ */
+const emptyRubric = () => ({ criteria: [], alternatives: [], notes: "" });
+
+/**
+ * Turn a legacy free-text rubric into a structured one. Lines ending in a
+ * mark count ("Correct formula (2 marks)") become criteria when those marks
+ * add up to maxMarks; otherwise the text becomes one criterion worth maxMarks.
+ * The original text is kept in notes either way.
+ * @param {String} text - Legacy rubric
+ * @param {Number} maxMarks - The question's marks
+ * @returns {Object} Structured rubric
+ */
+const parseLegacyRubric = (text, maxMarks = 0) => {
+  const notes = String(text || "").trim();
+  if (!notes) return emptyRubric();
+
+  const lines = notes
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const parsed = lines.map((line) => {
+    const match = line.match(LEGACY_MARKS_PATTERN);
+    return match
+      ? {
+          description:
+            line
+              .slice(0, match.index)
+              .replace(/^[-*•\d.)\s]+/, "")
+              .trim() || line,
+          marks: Number(match[1]),
+        }
+      : null;
+  });
+
+  const total = parsed.reduce((sum, c) => sum + (c ? c.marks : 0), 0);
+  const criteria =
+    parsed.every(Boolean) && total === maxMarks
+      ? parsed.map((c) => ({ ...c, descriptors: [] }))
+      : [{ description: notes, marks: maxMarks, descriptors: [] }];
+  return { criteria, alternatives: [], notes };
+};
+
+/**
+ * Copy a list of criteria into plain objects
+ * @param {Array<Object>} criteria
+ * @returns {Array<Object>}
+ */
+const normalizeCriteria = (criteria) =>
+  (criteria || []).map((c) => ({
+    description: String(c.description || "").trim(),
+    marks: Number(c.marks),
+    descriptors: (c.descriptors || []).map((d) => ({
+      marks: Number(d.marks),
+      description: String(d.description || "").trim(),
+    })),
+  }));
+
+/**
+ * Bring a rubric from a request body or the database into the structured
+ * form, migrating legacy string rubrics
+ * @param {Object|String} rubric - Structured rubric, legacy text, or nothing
+ * @param {Number} maxMarks - The question's marks, used to migrate text
+ * @returns {Object} Structured rubric as a plain object
+ */
+const normalizeRubric = (rubric, maxMarks = 0) => {
+  if (!rubric) return emptyRubric();
+  if (typeof rubric === "string") return parseLegacyRubric(rubric, maxMarks);
+  return {
+    criteria: normalizeCriteria(rubric.criteria),
+    alternatives: (rubric.alternatives || []).map((a) => ({
+      name: String(a.name || "").trim(),
+      criteria: normalizeCriteria(a.criteria),
+    })),
+    notes: String(rubric.notes || ""),
+  };
+};
+
+/**
+ * Check a list of criteria adds up to the question's marks
+ * @param {Array<Object>} criteria - Normalised criteria
+ * @param {Number} maxMarks
+ * @param {String} label - What the criteria belong to, for messages
+ * @returns {String|null} What is wrong, if anything
+ */
+const validateCriteria = (criteria, maxMarks, label) => {
+  for (const [index, c] of criteria.entries()) {
+    if (!c.description) {
+      return `${label} criterion ${index + 1} needs a description`;
+    }
+    if (!(c.marks >= 0)) {
+      return `${label} criterion ${index + 1} needs marks of zero or more`;
+    }
+    if (c.descriptors.some((d) => !(d.marks >= 0) || d.marks > c.marks)) {
+      return `${label} criterion ${index + 1} has descriptors outside 0 to ${
+        c.marks
+      } marks`;
+    }
+  }
+  const total = criteria.reduce((sum, c) => sum + c.marks, 0);
+  if (Math.abs(total - maxMarks) > 1e-9) {
+    return `${label} criteria add up to ${total} marks but the question is worth ${maxMarks}`;
+  }
+  return null;
+};
+
+/**
+ * Check a structured rubric. A rubric without criteria is allowed; otherwise
+ * its criteria, and those of each alternative path, must sum to maxMarks.
+ * @param {Object} rubric - Normalised rubric
+ * @param {Number} maxMarks - The question's marks
+ * @returns {String|null} What is wrong, or null if the rubric is valid
+ */
+const validateRubric = (rubric, maxMarks = 0) => {
+  if (rubric.criteria.length === 0) {
+    return rubric.alternatives.length > 0
+      ? "Rubric alternatives need main criteria as well"
+      : null;
+  }
+
+  const error = validateCriteria(rubric.criteria, maxMarks, "Rubric");
+  if (error) return error;
+  for (const [index, alternative] of rubric.alternatives.entries()) {
+    const altError = validateCriteria(
+      alternative.criteria,
+      maxMarks,
+      `Alternative ${alternative.name || index + 1}`
+    );
+    if (altError) return altError;
+  }
+  return null;
+};
+
+module.exports = {
+  parseLegacyRubric,
+  normalizeRubric,
+  validateRubric,
+};
@@ -0,0 +1,58 @@
+/**
+ * Share Link Utilities
+ * Issue and verify signed public links to a student's result
+ */
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+
+// Audience claim that keeps share tokens from being used as login tokens
+const SHARE_TOKEN_AUDIENCE = "result-share";
+
+/**
+ * Issue a new result link on a student assignment entry.
+ * A new share id invalidates any link issued before. The caller saves the student.
+ * @param {Object} studentAssignment - The student's assignment entry
+ * @param {String} studentId - Student ID
+ * @param {Number} [expiresInDays] - Link lifetime, defaults to SHARE_LINK_EXPIRES_IN_DAYS
+ * @returns {String} The public link
+ */
+const issueShareLink = (
+  studentAssignment,
+  studentId,
+  expiresInDays = config.SHARE_LINK_EXPIRES_IN_DAYS
+) => {
+  const assignmentId = studentAssignment.assignment.toString();
+  const shareId = crypto.randomBytes(16).toString("hex");
+  const token = jwt.sign(
+    { studentId: studentId.toString(), assignmentId, shareId },
+    config.SHARE_LINK_SECRET,
+    {
+      audience: SHARE_TOKEN_AUDIENCE,
+      expiresIn: `${expiresInDays}d`,
+    }
+  );
+
+  studentAssignment.shareId = shareId;
+  studentAssignment.isShared = true;
+  studentAssignment.sharedUrl = `${config.SHARE_LINK_BASE_URL}/${token}`;
+  studentAssignment.shareExpiresAt = new Date(
+    Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+  );
+  return studentAssignment.sharedUrl;
+};
+
+/**
+ * Verify a share token
+ * @param {String} token - Token from the link
+ * @returns {Object} { studentId, assignmentId, shareId }; throws if invalid or expired
+ */
+const verifyShareToken = (token) =>
+  jwt.verify(token, config.SHARE_LINK_SECRET, {
+    audience: SHARE_TOKEN_AUDIENCE,
+  });
+
+module.exports = {
+  issueShareLink,
+  verifyShareToken,
+};